@@ -0,0 +1,71 @@
+/**
+ * CreditRadar service worker
+ *
+ * Keeps the built app shell – index.html and the hashed assets it references –
+ * in one cache so the app starts offline. Navigations go to the network first
+ * (a new deploy shows up on the next load) and fall back to the cached shell;
+ * each fresh index.html re-fills the cache and drops assets it no longer
+ * references. Other requests are answered from that cache when they are part
+ * of the shell and otherwise go straight to the network, uncached – so a team
+ * server proxied on the same origin (`/api/…`) is never served stale.
+ *
+ * Registered from src/main.jsx in production builds only.
+ */
+
+// v1 also cached any same-origin GET at runtime; bumping the name drops that cache on activate.
+const CACHE = "creditradar-shell-v2";
+const STATIC = ["manifest.webmanifest", "icon.svg", "icon-192.png", "icon-512.png"];
+const SHELL = new URL("./", self.location).href;
+
+// Caches `res` as the shell plus everything it links to, and forgets assets from older builds.
+async function storeShell(res) {
+  const cache = await caches.open(CACHE);
+  const html = await res.clone().text();
+  const linked = [...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+    .map(m => new URL(m[1], SHELL))
+    .filter(u => u.origin === self.location.origin)
+    .map(u => u.href);
+  const keep = new Set([SHELL, ...linked, ...STATIC.map(s => new URL(s, SHELL).href)]);
+  await cache.put(SHELL, res);
+  await cache.addAll([...keep].filter(u => u !== SHELL));
+  const stale = (await cache.keys()).filter(req => !keep.has(req.url));
+  await Promise.all(stale.map(req => cache.delete(req)));
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(fetch(SHELL, { cache: "no-cache" }).then(storeShell).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((res) => {
+          if (res.ok) event.waitUntil(storeShell(res.clone()).catch(() => {}));
+          return res;
+        })
+        .catch(() => caches.match(SHELL)),
+    );
+    return;
+  }
+  event.respondWith(caches.match(request).then(hit => hit || fetch(request)));
+});
+
+// Reminders and alerts shown through the worker bring the app back to the front.
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true })
+      .then(windows => (windows.length ? windows[0].focus() : self.clients.openWindow(SHELL))),
+  );
+});
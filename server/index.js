@@ -0,0 +1,146 @@
+/**
+ * CreditRadar team server
+ *
+ * A small, dependency-free Node server that holds one shared ledger for a
+ * team. Browsers keep working against their own storage and exchange changed
+ * records with it (see src/teamSync.js):
+ *
+ *   GET  /api/changes?since=<seq>  -> { seq, records }   records stored after `since`
+ *   POST /api/changes { records }  -> { seq, stale, records }
+ *                                      `stale` = keys of records that lost to a newer copy, `records` = those copies
+ *
+ * A record is `{ kind, id, updatedAt, deleted?, data }`. The newest
+ * `updatedAt` wins per record (ties go to the incoming copy); deletions are
+ * kept as tombstones so offline clients learn about them when they return.
+ *
+ * Everything is stored in one JSON file, rewritten atomically after each push.
+ *
+ *   PORT=8787 CREDITRADAR_DATA=./creditradar-data.json CREDITRADAR_TOKEN=secret npm run server
+ */
+
+import { createHash, timingSafeEqual } from "node:crypto";
+import { createServer } from "node:http";
+import { readFile, rename, writeFile } from "node:fs/promises";
+import { resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = resolve(process.env.CREDITRADAR_DATA || "creditradar-data.json");
+const TOKEN = process.env.CREDITRADAR_TOKEN || "";
+const MAX_BODY = 20 * 1024 * 1024;
+const KINDS = new Set(["transaction", "platform", "project", "schedule", "settings"]);
+
+const recordKey = (r) => `${r.kind}:${r.id}`;
+
+async function loadStore() {
+  try {
+    const data = JSON.parse(await readFile(DATA_FILE, "utf8"));
+    return { seq: Number(data.seq) || 0, records: new Map(Object.entries(data.records || {})) };
+  } catch (e) {
+    if (e.code === "ENOENT") return { seq: 0, records: new Map() };
+    throw new Error(`Cannot read ${DATA_FILE}: ${e.message}`);
+  }
+}
+
+async function persist(store) {
+  const tmp = `${DATA_FILE}.tmp`;
+  await writeFile(tmp, JSON.stringify({ seq: store.seq, records: Object.fromEntries(store.records) }));
+  await rename(tmp, DATA_FILE);
+}
+
+function validRecord(r) {
+  return r && KINDS.has(r.kind) && typeof r.id === "string" && r.id && Number.isFinite(r.updatedAt) && (r.deleted || (r.data && typeof r.data === "object"));
+}
+
+/** Stores every incoming record that is at least as new as ours; returns the keys of those that were not. */
+export function applyPush(store, incoming) {
+  const stale = [];
+  incoming.forEach((r) => {
+    const key = recordKey(r);
+    const current = store.records.get(key);
+    if (current && current.updatedAt > r.updatedAt) return stale.push(key);
+    store.seq += 1;
+    store.records.set(key, { kind: r.kind, id: r.id, updatedAt: r.updatedAt, deleted: !!r.deleted, data: r.deleted ? null : r.data, seq: store.seq });
+  });
+  return stale;
+}
+
+/** Compares in constant time, so response times don't give the token away; hashing first hides its length too. */
+export function tokenMatches(header, token) {
+  const digest = (text) => createHash("sha256").update(String(text)).digest();
+  return timingSafeEqual(digest(header || ""), digest(`Bearer ${token}`));
+}
+
+export function changesSince(store, since) {
+  return [...store.records.values()].filter(r => r.seq > since).sort((a, b) => a.seq - b.seq);
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY) { reject(Object.assign(new Error("Request too large."), { status: 413 })); req.destroy(); }
+      else chunks.push(c);
+    });
+    req.on("end", () => {
+      try { resolveBody(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}")); }
+      catch (e) { reject(Object.assign(new Error("Body is not valid JSON."), { status: 400 })); }
+    });
+    req.on("error", reject);
+  });
+}
+
+export async function startServer({ port = PORT } = {}) {
+  const store = await loadStore();
+  // Pushes are applied and written one at a time.
+  let writing = Promise.resolve();
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (req.method === "OPTIONS") return send(res, 204);
+    if (url.pathname !== "/api/changes") return send(res, 404, { error: "Not found." });
+    if (TOKEN && !tokenMatches(req.headers.authorization, TOKEN)) return send(res, 401, { error: "Missing or wrong token." });
+    try {
+      if (req.method === "GET") {
+        const since = Number(url.searchParams.get("since")) || 0;
+        return send(res, 200, { seq: store.seq, records: changesSince(store, since) });
+      }
+      if (req.method === "POST") {
+        const { records } = await readBody(req);
+        if (!Array.isArray(records) || !records.every(validRecord)) return send(res, 400, { error: "Expected { records: [{ kind, id, updatedAt, data | deleted }] }." });
+        const result = writing.then(async () => {
+          const stale = applyPush(store, records);
+          await persist(store);
+          return { seq: store.seq, stale, records: stale.map(key => store.records.get(key)) };
+        });
+        writing = result.catch(() => {});
+        return send(res, 200, await result);
+      }
+      return send(res, 405, { error: "Method not allowed." });
+    } catch (e) {
+      return send(res, e.status || 500, { error: e.message || String(e) });
+    }
+  });
+
+  await new Promise(r => server.listen(port, r));
+  return server;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startServer().then(
+    () => console.log(`CreditRadar team server on http://localhost:${PORT} (data: ${DATA_FILE}${TOKEN ? ", token required" : ""})`),
+    (e) => { console.error(e.message); process.exit(1); },
+  );
+}
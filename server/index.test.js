@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { applyPush, changesSince, tokenMatches } from "./index.js";
+
+const store = () => ({ seq: 0, records: new Map() });
+const record = (id, updatedAt, name) => ({ kind: "platform", id, updatedAt, data: { id, name } });
+
+describe("applyPush", () => {
+  it("numbers every stored record with the next sequence number", () => {
+    const s = store();
+    expect(applyPush(s, [record("p1", 1000, "Suno"), record("p2", 1000, "Pika")])).toEqual([]);
+    applyPush(s, [record("p1", 2000, "Suno v4")]);
+    expect(s.seq).toBe(3);
+    expect(changesSince(s, 1).map(r => [r.id, r.seq])).toEqual([["p2", 2], ["p1", 3]]);
+  });
+
+  it("keeps the newest copy per record and reports the pushes that lost", () => {
+    const s = store();
+    applyPush(s, [record("p1", 2000, "Theirs")]);
+    expect(applyPush(s, [record("p1", 1000, "Mine"), record("p2", 1000, "Pika")])).toEqual(["platform:p1"]);
+    expect(s.records.get("platform:p1")).toMatchObject({ updatedAt: 2000, data: { name: "Theirs" }, seq: 1 });
+    expect(s.seq).toBe(2);
+  });
+
+  it("lets a tie go to the incoming copy and keeps deletions as tombstones", () => {
+    const s = store();
+    applyPush(s, [record("p1", 1000, "Theirs")]);
+    expect(applyPush(s, [{ kind: "platform", id: "p1", updatedAt: 1000, deleted: true }])).toEqual([]);
+    expect(s.records.get("platform:p1")).toMatchObject({ deleted: true, data: null, seq: 2 });
+  });
+});
+
+describe("tokenMatches", () => {
+  it("accepts only the exact bearer token", () => {
+    expect(tokenMatches("Bearer s3cret", "s3cret")).toBe(true);
+    expect(tokenMatches("Bearer s3crex", "s3cret")).toBe(false);
+    expect(tokenMatches("Bearer s3cret2", "s3cret")).toBe(false);
+    expect(tokenMatches(undefined, "s3cret")).toBe(false);
+  });
+});
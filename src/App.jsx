@@ -1,6 +1,30 @@
-import React, { useEffect, useMemo, useState } from "react";
-import { Download, Plus, RefreshCw, Settings, Wallet2, Bell, Coins, Trash2, Edit2, BarChart3, CreditCard, Cloud } from "lucide-react";
-import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, AreaChart, Area } from "recharts";
+import React, { useEffect, useId, useMemo, useRef, useState } from "react";
+import { Download, Plus, RefreshCw, Settings, Wallet2, Bell, Coins, Trash2, Edit2, BarChart3, CreditCard, Cloud, Undo2, Redo2, Upload, Archive, AlertTriangle, FolderKanban, CalendarClock, Pause, Play, Command, Zap, FileText, Printer, Share2, Eye } from "lucide-react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, AreaChart, Area, BarChart, Bar, Legend } from "recharts";
+import { UNASSIGNED, accountOf, adjustmentEntry, balanceOf, balanceSeries, belongsTo, isSpend, linkEntriesToPlatforms, memberOf, openingEntry, platformKey, platformLabel, txnType } from "./ledger.js";
+import { WEEK_STARTS, addDays, configureDates, dateSettings, dayKey, systemTimeZone, timeOfDay, timeZoneOptions, todayKey } from "./dates.js";
+import { DATE_FORMATS, IMPORT_FIELDS, guessMapping, ledgerToCSV, mapRows, markDuplicates, parseCSV, parseCreditRadarExport } from "./csv.js";
+import { dailySpendBuckets, dashboardSummary, entryCost } from "./dashboard.js";
+import { useClock } from "./useClock.js";
+import { useHistory } from "./useHistory.js";
+import { loadDeviceSettings, isDeviceSettingsEvent, saveDeviceSettings, takeDeviceSettings } from "./device.js";
+import { loadState, openStorage, openTabChannel, parseBackup, saveState, serializeBackup, stashCorrupt } from "./storage.js";
+import { ROLLOVER_POLICIES, applyRenewals, hasRenewal, withRenewalCursor } from "./renewals.js";
+import { deliverNotifications, evaluateAlerts, notificationsSupported, takeNewAlerts } from "./alerts.js";
+import { findProject, overBudgetIds, projectSummaries } from "./projects.js";
+import { deliverReminder, reminderDue, reminderSettings, takeReminder } from "./reminders.js";
+import { creditsToMoney, currencySettings, formatMoney, unitPrice } from "./money.js";
+import { FORECAST_METHODS, daysUntilDepletion, forecastBalance } from "./forecast.js";
+import { ADAPTERS, applySyncResults, fetchSyncResults, isSyncable } from "./sync.js";
+import { connectTeamServer, loadServerConfig, saveServerConfig } from "./teamSync.js";
+import { CADENCES, WEEKDAYS, applySchedules, describeCadence, upcoming } from "./recurring.js";
+import { checkBudget, checkPlatform, checkPreset, checkRate, checkSchedule, checkServer, checkTransaction, hasErrors } from "./schema.js";
+import { describeQuickEntry, formatTemplate, matchCommands, parseQuickEntry, parseTemplate, templateEntry } from "./quickLog.js";
+import { ALL, EMPTY_QUERY, PAGE_SIZE, SORTS, activeFilterCount, paginate, queryTransactions } from "./txnQuery.js";
+import { decodeSnapshot, encodeSnapshot, makeSnapshot, openedSnapshot, snapshotUrl, standaloneHtml } from "./snapshot.js";
+import { NO_PROJECT, buildStatement, monthLabel, statementMonths, statementTitle } from "./statements.js";
+import { BUILTIN_PRESETS, CHART_RANGES, FORECAST_WINDOWS, LOCALES, THEMES, appearance, configureNumbers, findPreset, formatNumber, platformPresets, preferences } from "./preferences.js";
+import { RANGE_PRESETS, periodComparisons, resolveRange, spendBy, spendByProject, stackedByPlatform, topTransactions, totalSpend } from "./analytics.js";
 
 /**
  * CreditRadar – single‑file React prototype
@@ -15,313 +39,685 @@ import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContai
  * Features
  * - Dark, sleek dashboard (Tailwind)
  * - Add/manage platforms (Higgsfield, Suno, Google Flow, Runway, Pika, Luma, etc.) OR a custom platform via NEW
- * - Log credit usage (transactions) per platform & optional project tag
- * - Auto sums balances, shows total credits
- * - Burn‑rate & forecast from 30‑day average
+ * - Several accounts (seats) per platform; usage attributed to a team member, spend grouped/filtered by account and member
+ * - Log credit usage (transactions) per platform & optional project tag; edit/delete rows
+ * - Forms and imports checked by one schema layer (schema.js), errors shown next to the field
+ * - Quick-log templates per platform, command palette (Ctrl/Cmd+K) with one-line entries ("suno -40 NeonShore EP 2 songs")
+ * - Transaction search, filters (date/amount range, sign, project, account, member), sorting and paging
+ * - Projects view: spend per project across platforms, credit budgets, over-budget flags
+ * - Monthly statements per platform / project (opening, allowances, itemised spend, closing), printable or saved as PDF
+ * - Analytics view: date ranges, stacked spend by platform, spend by project, WoW/MoM, top transactions
+ * - Undo/redo for every change (Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z)
+ * - Balances derived from a ledger (opening entry + usage + adjustments), shows total credits
+ * - Monthly allowance renewals posted on load, with keep / expire / capped rollover of unused credits
+ * - Recurring transactions (daily / weekly / monthly / cron-like) posted when due, pausable, shown in the forecast
+ * - Burn‑rate & forecast (average / weighted / trend / weekday models) incl. scheduled allowances
+ * - Per-platform low-balance / depletion alerts, alert center + optional browser notifications
+ * - Opt-in daily reminder to log usage when nothing was logged by hand that day
+ * - Installable PWA that runs offline (public/sw.js, public/manifest.webmanifest)
+ * - Read-only snapshots of chosen platforms, shared as a link or a standalone HTML file (notes optionally redacted)
  * - Simple trend chart per platform
- * - CSV export (balances & transactions)
- * - LocalStorage persistence
+ * - Spend in money: per-platform plan price + currency, display currency, manual exchange-rate table
+ * - Sync: pluggable provider adapters (mock + local JSON) reconcile fetched usage/balances into the ledger
+ * - CSV export (balances & transactions) and import (round-trip, or any CSV via column mapping)
+ * - IndexedDB persistence (localStorage fallback, versioned schema + migrations), live sync between open tabs
+ * - Optional team server (server/index.js): shared ledger, offline outbox, last-writer-wins per record
+ * - JSON backup/restore, recovery screen
+ * - Dates are days in the user's time zone (Settings: zone + week start), optional time of day per entry
+ * - Settings: default unit/account, forecast window, chart range, light/dark theme, number locale, editable platform presets
+ * - Domain logic in framework-free modules (ledger, forecast, dashboard, csv, storage…), covered by `npm test`
  */
 
-// --- Presets (still available, but optional) ---
-const PLATFORM_PRESETS = [
-  { key: "Higgsfield", color: "#34d399" },
-  { key: "Suno", color: "#60a5fa" },
-  { key: "Google Flow", color: "#fbbf24" },
-  { key: "Runway", color: "#f472b6" },
-  { key: "Pika", color: "#a78bfa" },
-  { key: "Luma", color: "#22d3ee" },
-];
-
 const demoTransactions = () => {
-  const now = Date.now();
-  const days = (n) => new Date(now - n * 24 * 3600 * 1000).toISOString().slice(0, 10);
+  const today = todayKey();
+  const days = (n) => addDays(today, -n);
   return [
-    { id: crypto.randomUUID(), platform: "Higgsfield", amount: -120, project: "Bug City trailer", note: "4 x 30s gens", date: days(1) },
-    { id: crypto.randomUUID(), platform: "Suno", amount: -40, project: "NeonShore EP", note: "2 songs v4", date: days(2) },
-    { id: crypto.randomUUID(), platform: "Runway", amount: -60, project: "FCG Reel", note: "Gen-3 alpha shots", date: days(4) },
-    { id: crypto.randomUUID(), platform: "Google Flow", amount: -30, project: "Pitch deck", note: "text-to-video", date: days(6) },
-    { id: crypto.randomUUID(), platform: "Pika", amount: -25, project: "Meme pack", note: "shorts", date: days(9) },
-    { id: crypto.randomUUID(), platform: "Luma", amount: -50, project: "Desert MV", note: "lighting tests", date: days(12) },
+    { id: crypto.randomUUID(), platform: "Higgsfield", account: "main", member: "Alex", amount: -120, project: "Bug City trailer", note: "4 x 30s gens", date: days(1) },
+    { id: crypto.randomUUID(), platform: "Suno", account: "main", member: "Sam", amount: -40, project: "NeonShore EP", note: "2 songs v4", date: days(2) },
+    { id: crypto.randomUUID(), platform: "Runway", account: "main", member: "Alex", amount: -60, project: "FCG Reel", note: "Gen-3 alpha shots", date: days(4) },
+    { id: crypto.randomUUID(), platform: "Google Flow", account: "main", member: "Sam", amount: -30, project: "Pitch deck", note: "text-to-video", date: days(6) },
+    { id: crypto.randomUUID(), platform: "Pika", account: "main", member: "Jo", amount: -25, project: "Meme pack", note: "shorts", date: days(9) },
+    { id: crypto.randomUUID(), platform: "Luma", account: "main", member: "Jo", amount: -50, project: "Desert MV", note: "lighting tests", date: days(12) },
   ];
 };
 
-const initialState = {
-  platforms: PLATFORM_PRESETS.map((p) => ({
+const initialState = linkEntriesToPlatforms({
+  platforms: BUILTIN_PRESETS.map((p) => ({
     id: crypto.randomUUID(),
     name: p.key,
-    credits: 1000,
     color: p.color,
     unit: "credits",
     account: "main",
     monthlyAllowance: 0,
   })),
-  transactions: demoTransactions(),
-};
+  transactions: [
+    ...demoTransactions(),
+    ...BUILTIN_PRESETS.map((p) => openingEntry({ name: p.key }, 1000, addDays(todayKey(), -30))),
+  ],
+});
 
-function loadState() {
-  try {
-    const raw = localStorage.getItem("ai-credit-tracker");
-    if (!raw) return initialState;
-    const parsed = JSON.parse(raw);
-    return {
-      platforms: parsed.platforms ?? initialState.platforms,
-      transactions: parsed.transactions ?? initialState.transactions,
-    };
-  } catch (e) {
-    return initialState;
-  }
+const emptyState = { platforms: [], transactions: [] };
+
+// Recharts draws with SVG attributes, so chart colors point at the theme's variables (index.css) directly.
+const CHART = { grid: "rgb(var(--zinc-800))", axis: "rgb(var(--zinc-400))" };
+const tooltipStyle = { background: "rgb(var(--zinc-900))", border: "1px solid rgb(var(--zinc-800))", borderRadius: 12, color: "rgb(var(--zinc-200))" };
+
+function classNames(...c) { return c.filter(Boolean).join(" "); }
+
+function downloadFile(name, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = name;
+  document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
 }
 
-function saveState(state) {
-  localStorage.setItem("ai-credit-tracker", JSON.stringify(state));
+// Entries and schedules point at their platform by id but also carry its name + account as labels; keep those in step.
+function patchPlatform(s, id, patch) {
+  const prev = s.platforms.find(p => p.id === id);
+  const next = prev && { ...prev, ...patch };
+  const moved = prev && platformKey(next) !== platformKey(prev);
+  const move = (list) => list.map(t => belongsTo(t, prev) ? { ...t, platform: next.name, account: accountOf(next) } : t);
+  return {
+    ...s,
+    platforms: s.platforms.map(p => p.id === id ? next : p),
+    transactions: moved ? move(s.transactions) : s.transactions,
+    ...(moved && s.schedules ? { schedules: move(s.schedules) } : {}),
+  };
 }
 
-function classNames(...c) { return c.filter(Boolean).join(" "); }
+function isTypingTarget(el) {
+  return el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.tagName === "SELECT" || el.isContentEditable);
+}
 
-// --- Dev tests (run only in dev) ---
-function __runDevTests() {
-  try {
-    // test CSV make function behavior
-    const rows = [["A,1", 'B"2', "C\n3"], ["x", "y", "z"]];
-    const make = (arr) => arr.map(r => r.map(v => `"${String(v).replaceAll('"','""')}"`).join(",")).join("\n");
-    const out = make(rows);
-    console.assert(out.includes('\n'), 'CSV should contain newlines');
-    console.assert(out.split('\n').length === 3, 'CSV should have header+2 rows when tested');
-  } catch (err) {
-    // eslint-disable-next-line no-console
-    console.warn('Dev tests failed:', err);
+// Demo data is only used on a true first run; unreadable saves go to the recovery screen instead.
+// A page opened with a snapshot never touches storage: it shows the snapshot and nothing else.
+export default function App() {
+  const [boot, setBoot] = useState(null);
+  useEffect(() => {
+    const token = openedSnapshot();
+    if (token) {
+      decodeSnapshot(token)
+        .then((snapshot) => {
+          configureDates(snapshot.state.settings);
+          setBoot({ snapshot });
+        })
+        .catch(err => setBoot({ snapshotError: err.message }));
+      return;
+    }
+    const backend = openStorage();
+    loadState(backend).then((result) => {
+      const state = result.state && takeDeviceSettings(result.state);
+      configureDates(loadDeviceSettings());
+      setBoot({ backend, ...result, state, stored: !!state && state === result.state });
+    });
+  }, []);
+  if (!boot) return <div className="min-h-screen bg-zinc-950" />;
+  if (boot.snapshotError) return <SnapshotError message={boot.snapshotError} />;
+  if (boot.snapshot) return <SnapshotDashboard snapshot={boot.snapshot} />;
+  if (boot.error) {
+    return <RecoveryScreen error={boot.error} raw={boot.raw} onRecover={(state) => { stashCorrupt(boot.raw); setBoot({ backend: boot.backend, state: takeDeviceSettings(state) }); }} />;
   }
+  return <Dashboard backend={boot.backend} initial={boot.state ?? initialState} stored={!!boot.stored} />;
 }
 
-export default function App() {
-  const [state, setState] = useState(loadState);
+// `stored`: `initial` is what storage holds (not demo data or a recovery choice), so it needn't be saved again.
+function Dashboard({ backend, initial, stored }) {
+  // Renewals and scheduled entries missed while the app was closed are part of the loaded state, not an undo step.
+  const [state, setState, history] = useHistory(() => applySchedules(applyRenewals(initial)));
+  // Time zone, week start, theme and number format are this device's (device.js); other tabs may change them too.
+  const [device, setDevice] = useState(loadDeviceSettings);
+  useEffect(() => {
+    const onStorage = (e) => { if (isDeviceSettingsEvent(e)) setDevice(loadDeviceSettings()); };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+  // "Today", chart buckets and form defaults follow this device's time zone; numbers its locale.
+  configureDates(device);
+  configureNumbers(device);
+  const prefs = preferences(state.settings);
+  const presets = platformPresets(state.settings);
+  const { theme } = appearance(device);
+  useEffect(() => {
+    document.documentElement.classList.toggle("light", theme === "light");
+  }, [theme]);
   const [showAdd, setShowAdd] = useState(false);
+  const [addError, setAddError] = useState(""); // preset that can't be added
   const [showNew, setShowNew] = useState(false); // NEW (custom) platform modal
   const [editing, setEditing] = useState(null); // platform id
-  const [showTxn, setShowTxn] = useState(false);
-  const [filter, setFilter] = useState("All");
+  const [showTxn, setShowTxn] = useState(false); // true, or a draft to prefill the form with
+  const [showPalette, setShowPalette] = useState(false);
+  const [editingTxn, setEditingTxn] = useState(null); // transaction id
+  const [showImport, setShowImport] = useState(false);
+  const [showBackup, setShowBackup] = useState(false);
+  const [showAlerts, setShowAlerts] = useState(false);
+  const [view, setView] = useState("dashboard"); // dashboard | projects | analytics | schedules | statements
+  const [showSettings, setShowSettings] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [query, setQuery] = useState(EMPTY_QUERY);
+  const [groupBy, setGroupBy] = useState("member"); // member | account
+
+  // State reloaded after another tab saved is already stored; saving it again would echo back and reset
+  // every other tab's undo history. The same goes for the state as loaded, unless renewals or schedules
+  // posted something on the way in (they return the state untouched when nothing is due).
+  const remoteState = useRef(stored ? state : null);
+  const channel = useRef(null);
+  useEffect(() => {
+    channel.current = openTabChannel(async () => {
+      const { state: fresh } = await loadState(backend);
+      if (!fresh) return;
+      remoteState.current = fresh;
+      history.reset(fresh);
+    });
+    return () => channel.current.close();
+  }, [backend, history.reset]);
+
+  useEffect(() => {
+    if (state === remoteState.current) return;
+    saveState(backend, state)
+      .then(() => channel.current?.notify())
+      // eslint-disable-next-line no-console
+      .catch(err => console.error("Saving failed:", err));
+  }, [state]);
+
+  // Team server: local changes are pushed from the effect below; pulled ones replace the present like a tab reload.
+  const [server, setServer] = useState(loadServerConfig);
+  const [serverStatus, setServerStatus] = useState(null);
+  const team = useRef(null);
+  useEffect(() => {
+    if (!server?.url) return;
+    team.current = connectTeamServer(server, { onRemote: history.reset, onStatus: setServerStatus });
+    return () => { team.current.close(); team.current = null; setServerStatus(null); };
+  }, [server, history.reset]);
+  useEffect(() => { team.current?.push(state); }, [state, server]);
 
-  useEffect(() => saveState(state), [state]);
-  useEffect(() => { if (import.meta?.env?.DEV) __runDevTests(); }, []);
+  function changeServer(config) {
+    saveServerConfig(config);
+    setServer(config);
+  }
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      // The palette opens from anywhere, form fields included.
+      if (key === "k") {
+        e.preventDefault();
+        setShowPalette(open => !open);
+        return;
+      }
+      if (key !== "z" || isTypingTarget(e.target)) return;
+      e.preventDefault();
+      if (e.shiftKey) history.redo(); else history.undo();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [history.undo, history.redo]);
 
-  const totalCredits = useMemo(() => state.platforms.reduce((a, p) => a + (Number(p.credits) || 0), 0), [state.platforms]);
+  const summary = useMemo(() => dashboardSummary(state), [state.transactions, state.platforms, state.settings, device]);
+  const { balances, total: totalCredits, value: balanceValue, burn: dailyBurn, burnValue, burnDays } = summary;
 
-  const last30 = useMemo(() => {
-    const cut = new Date(Date.now() - 30 * 24 * 3600 * 1000);
-    return state.transactions.filter((t) => new Date(t.date) >= cut);
-  }, [state.transactions]);
+  const forecastMethod = state.settings?.forecastMethod || "average";
 
-  const dailyBurn = useMemo(() => {
-    if (!last30.length) return 0;
-    const spent = last30.filter(t => t.amount < 0).reduce((a, t) => a + Math.abs(t.amount), 0);
-    return +(spent / 30).toFixed(2);
-  }, [last30]);
+  const forecast = useMemo(() => forecastBalance({
+    balance: totalCredits,
+    transactions: state.transactions,
+    platforms: state.platforms,
+    schedules: state.schedules,
+    method: forecastMethod,
+    window: prefs.forecastWindow,
+  }), [totalCredits, state.transactions, state.platforms, state.schedules, forecastMethod, state.settings, device]);
 
-  const forecastDays = useMemo(() => {
-    if (dailyBurn <= 0) return Infinity;
-    return Math.floor(totalCredits / dailyBurn);
-  }, [totalCredits, dailyBurn]);
+  const currency = currencySettings(state.settings);
 
-  const platformMap = useMemo(() => Object.fromEntries(state.platforms.map(p => [p.name, p])), [state.platforms]);
+  const alerts = useMemo(() => evaluateAlerts(state.platforms, state.transactions, forecastMethod, state.schedules, prefs.forecastWindow), [state.platforms, state.transactions, forecastMethod, state.schedules, prefs.forecastWindow]);
+  const alertingIds = useMemo(() => new Set(alerts.map(a => a.platformId)), [alerts]);
 
-  const chartData = useMemo(() => {
-    const byDay = {};
-    state.transactions.forEach((t) => {
-      byDay[t.date] = (byDay[t.date] || 0) + t.amount;
-    });
-    const days = Array.from({ length: 14 }).map((_, i) => {
-      const d = new Date(Date.now() - (13 - i) * 24 * 3600 * 1000);
-      const key = d.toISOString().slice(0, 10);
-      return { date: key, spend: Math.abs(byDay[key] || 0) };
+  // Re-rendered at midnight and at the reminder time only (not on a ticker, which would re-render all of this).
+  const reminder = reminderSettings(device);
+  const now = useClock(["00:00", reminder.time], dateSettings(device).timeZone);
+  // An app left open past midnight (e.g. the installed PWA) posts the new day's renewals and scheduled entries;
+  // like those posted on load they are no undo step, and undoing an earlier edit keeps them.
+  const today = dayKey(now);
+  useEffect(() => {
+    history.amend(s => applySchedules(applyRenewals(s, today), today));
+  }, [today, history.amend]);
+  // The daily reminder notifies once a day and stays in the alert center until something is logged.
+  const remind = reminderDue(device, state.transactions, now);
+  const alertCount = alerts.length + (remind ? 1 : 0);
+  useEffect(() => {
+    if (remind && takeReminder(todayKey())) {
+      // eslint-disable-next-line no-console
+      deliverReminder().catch(err => console.error("Reminder notification failed:", err));
+    }
+  }, [remind]);
+
+  // Runs on load and after every change (e.g. logging usage); only thresholds crossed since the last check notify.
+  useEffect(() => {
+    const fresh = takeNewAlerts(alerts);
+    if (device.notifications) deliverNotifications(fresh);
+  }, [alerts]);
+
+  const platformMap = useMemo(() => Object.fromEntries(state.platforms.map(p => [p.id, p])), [state.platforms]);
+  const platformColors = useMemo(() => Object.fromEntries(state.platforms.map(p => [p.name, p.color])), [state.platforms]);
+  const accounts = useMemo(() => [...new Set(state.platforms.map(accountOf))].sort(), [state.platforms]);
+  const members = useMemo(() => [...new Set(state.transactions.map(memberOf))].sort(), [state.transactions]);
+
+  const overBudget = useMemo(() => overBudgetIds(state.transactions, state.projects), [state.transactions, state.projects]);
+
+  const moneyOf = (t) => entryCost(t, platformMap, state.settings);
+
+  const chartData = useMemo(() => dailySpendBuckets(state.transactions, { days: prefs.chartDays, costOf: moneyOf }), [state.transactions, platformMap, state.settings, device]);
+
+  // Known project names, for reading one-line entries.
+  const projectNames = useMemo(() => {
+    const names = new Map();
+    [...(state.projects || []).map(p => p.name), ...state.transactions.map(t => t.project)].forEach((name) => {
+      const trimmed = (name || "").trim();
+      if (trimmed && !names.has(trimmed.toLowerCase())) names.set(trimmed.toLowerCase(), trimmed);
     });
-    return days;
-  }, [state.transactions]);
+    return [...names.values()];
+  }, [state.projects, state.transactions]);
 
-  const filteredTxns = useMemo(() => state.transactions
-    .filter(t => filter === "All" ? true : t.platform === filter)
-    .sort((a, b) => b.date.localeCompare(a.date)), [state.transactions, filter]);
+  // Who (or which seat) burned the credits over the last 30 days.
+  const spendGroups = useMemo(() => spendBy(state.transactions, resolveRange("30d"), groupBy === "account" ? accountOf : memberOf), [state.transactions, groupBy]);
 
+  // A preset with an allowance renews on the 1st until changed in the platform's edit dialog.
   function addPlatform(presetName) {
     if (!presetName) return;
-    const preset = PLATFORM_PRESETS.find(p => p.key === presetName) || { color: "#64748b" };
-    const exists = state.platforms.some(p => p.name === presetName);
-    if (exists) return alert("Platform already added.");
+    const preset = findPreset(presets, presetName) || { color: "#64748b" };
+    const { clash } = checkPlatform({ name: presetName, account: prefs.defaultAccount }, state.platforms);
+    if (clash) return setAddError(`${platformLabel(clash)} already exists. Add another account of it via NEW (custom).`);
+    const allowance = Number(preset.monthlyAllowance) || 0;
     setState(s => ({
       ...s,
-      platforms: [...s.platforms, {
+      platforms: [...s.platforms, withRenewalCursor({
         id: crypto.randomUUID(),
         name: presetName,
-        credits: 0,
         color: preset.color,
-        unit: "credits",
-        account: "main",
-        monthlyAllowance: 0,
-      }]
+        unit: preset.unit || prefs.defaultUnit,
+        account: prefs.defaultAccount,
+        monthlyAllowance: allowance,
+        ...(allowance ? { renewalDay: 1, rollover: "keep" } : {}),
+        ...(preset.adapter ? { sync: { adapter: preset.adapter, enabled: false } } : {}),
+      })]
     }));
     setShowAdd(false);
   }
 
+  // Returns `{ errors, platform }`; nothing is created unless `errors` is empty.
   function addCustomPlatform(custom) {
-    const trimmed = (custom.name || "").trim();
-    if (!trimmed) return alert("Name is required");
-    if (state.platforms.some(p => p.name.toLowerCase() === trimmed.toLowerCase())) {
-      return alert("A platform with that name already exists.");
-    }
+    const { value, errors } = checkPlatform(custom, state.platforms);
+    if (hasErrors(errors)) return { errors };
+    const platform = withRenewalCursor({
+      id: crypto.randomUUID(),
+      name: value.name,
+      color: value.color || "#64748b",
+      unit: value.unit || prefs.defaultUnit,
+      account: value.account,
+      member: value.member,
+      monthlyAllowance: Number(value.monthlyAllowance) || 0,
+      renewalDay: Number(value.renewalDay) || 1,
+      rollover: value.rollover || "keep",
+      rolloverCap: Number(value.rolloverCap) || 0,
+    });
+    const opening = Number(value.credits) || 0;
     setState(s => ({
       ...s,
-      platforms: [...s.platforms, {
-        id: crypto.randomUUID(),
-        name: trimmed,
-        credits: Number(custom.credits) || 0,
-        color: custom.color || "#64748b",
-        unit: custom.unit || "credits",
-        account: custom.account || "main",
-        monthlyAllowance: Number(custom.monthlyAllowance) || 0,
-      }]
+      platforms: [...s.platforms, platform],
+      transactions: opening ? [openingEntry(platform, opening), ...s.transactions] : s.transactions,
     }));
     setShowNew(false);
     setShowAdd(false);
+    return { errors, platform };
   }
 
   function updatePlatform(id, patch) {
-    setState(s => ({
-      ...s,
-      platforms: s.platforms.map(p => p.id === id ? { ...p, ...patch } : p)
-    }));
+    setState(s => patchPlatform(s, id, patch));
+  }
+
+  // The balance field in EditPlatform is not stored; a change is posted as an adjustment entry.
+  // Done as one update so undo reverts the edit and its adjustment together. Returns the field errors.
+  function savePlatform(id, form) {
+    const prev = state.platforms.find(p => p.id === id);
+    const { value, errors } = checkPlatform(form, state.platforms, id);
+    if (hasErrors(errors)) return errors;
+    const { credits, ...patch } = value;
+    const delta = (Number(credits) || 0) - (balances[id] || 0);
+    const adj = prev && delta !== 0 ? [adjustmentEntry(prev, delta)] : [];
+    const renewal = withRenewalCursor({ ...prev, ...patch });
+    setState((s) => {
+      // Sync status is owned by the engine; keep whatever it wrote while the dialog was open.
+      const cur = s.platforms.find(p => p.id === id)?.sync;
+      const sync = patch.sync && { ...patch.sync, ...(cur && patch.sync.adapter === cur.adapter ? { cursor: cur.cursor, lastSync: cur.lastSync, lastError: cur.lastError, lastAdded: cur.lastAdded } : {}) };
+      return patchPlatform({ ...s, transactions: [...adj, ...s.transactions] }, id, { ...patch, ...(sync ? { sync } : {}), renewedThrough: renewal.renewedThrough });
+    });
+    return errors;
   }
 
   function removePlatform(id) {
-    setState(s => ({
+    setState(s => {
+      const removed = s.platforms.find(p => p.id === id);
+      return {
+        ...s,
+        platforms: s.platforms.filter(p => p.id !== id),
+        transactions: removed ? s.transactions.filter(t => !belongsTo(t, removed)) : s.transactions,
+        ...(removed && s.schedules ? { schedules: s.schedules.filter(x => !belongsTo(x, removed)) } : {}),
+      };
+    });
+  }
+
+  // Saving posts anything already due right away, in the same undo step. Returns the field errors.
+  function saveSchedule(input) {
+    const { value: schedule, errors } = checkSchedule(input, state.platforms);
+    if (hasErrors(errors)) return errors;
+    setState(s => {
+      const list = s.schedules || [];
+      const exists = list.some(x => x.id === schedule.id);
+      return applySchedules({ ...s, schedules: exists ? list.map(x => x.id === schedule.id ? schedule : x) : [...list, schedule] });
+    });
+    return errors;
+  }
+
+  // Resuming skips the paused period: the cursor moves up to yesterday, so only today onwards is posted.
+  function toggleSchedule(id) {
+    setState(s => applySchedules({
       ...s,
-      platforms: s.platforms.filter(p => p.id !== id),
-      transactions: s.transactions.filter(t => (platformMap[t.platform]?.id ?? null) !== id && t.platform !== (s.platforms.find(p=>p.id===id)?.name))
+      schedules: s.schedules.map((x) => {
+        if (x.id !== id) return x;
+        if (!x.paused) return { ...x, paused: true };
+        const yesterday = addDays(todayKey(), -1);
+        return { ...x, paused: false, postedThrough: x.postedThrough && x.postedThrough > yesterday ? x.postedThrough : yesterday };
+      }),
     }));
   }
 
+  // Entries a schedule already posted stay in the ledger.
+  function removeSchedule(id) {
+    setState(s => ({ ...s, schedules: (s.schedules || []).filter(x => x.id !== id) }));
+  }
+
   function addTransaction(txn) {
     setState(s => ({ ...s, transactions: [{ id: crypto.randomUUID(), ...txn }, ...s.transactions] }));
   }
 
+  function logTemplate(platform, template) {
+    setState(s => ({ ...s, transactions: [templateEntry(platform, template), ...s.transactions] }));
+  }
+
+  // Balances are derived from the ledger, so editing or deleting an entry reverses its effect by itself.
+  function updateTransaction(id, patch) {
+    setState(s => ({ ...s, transactions: s.transactions.map(t => t.id === id ? { ...t, ...patch } : t) }));
+  }
+
+  // Adds a usage entry (no `id`) or updates one from the transaction form. Returns the field errors.
+  function saveTransaction(id, input) {
+    const { value, errors } = checkTransaction(input, state.platforms);
+    if (hasErrors(errors)) return errors;
+    if (id) updateTransaction(id, value);
+    else addTransaction({ type: "usage", ...value });
+    return errors;
+  }
+
+  function removeTransaction(id) {
+    setState(s => ({ ...s, transactions: s.transactions.filter(t => t.id !== id) }));
+  }
+
+  // Platforms named in the import that we don't track yet are created; for our own export the
+  // Balances row is honoured by posting an opening entry for whatever the imported entries don't explain.
+  // Done as one update so a whole import can be undone in a single step.
+  function importData({ platforms: incoming = [], transactions: txns }) {
+    const account = (x) => String(x ?? "").trim() || prefs.defaultAccount;
+    setState(s => {
+      const known = new Map(s.platforms.map(p => [platformKey(p).toLowerCase(), p]));
+      const created = []; // [{ platform, credits }]
+      // Rows name their platform; look it up (case-insensitively) or create it.
+      const resolve = (def) => {
+        const key = platformKey(def).toLowerCase();
+        if (!known.has(key)) {
+          const preset = findPreset(presets, def.name);
+          const platform = {
+            id: crypto.randomUUID(),
+            name: def.name,
+            color: preset?.color || "#64748b",
+            unit: def.unit || preset?.unit || prefs.defaultUnit,
+            account: accountOf(def),
+            monthlyAllowance: Number(def.monthlyAllowance) || 0,
+            planPrice: Number(def.planPrice) || 0,
+            planCredits: Number(def.planCredits) || 0,
+            currency: def.currency || "USD",
+          };
+          known.set(key, platform);
+          created.push({ platform, credits: def.credits });
+        }
+        return known.get(key);
+      };
+      incoming.forEach(p => resolve({ ...p, account: account(p.account) }));
+      const entries = txns.map((t) => {
+        const p = resolve({ name: t.platform, account: account(t.account) });
+        return { ...t, id: crypto.randomUUID(), platformId: p.id, platform: p.name, account: accountOf(p) };
+      });
+      const openings = created.flatMap(({ platform, credits }) => {
+        const diff = credits === undefined ? 0 : credits - balanceOf(entries, platform);
+        if (!diff) return [];
+        const first = entries.filter(t => belongsTo(t, platform)).reduce((min, t) => (t.date < min ? t.date : min), todayKey());
+        return [openingEntry(platform, diff, first)];
+      });
+      return { ...s, platforms: [...s.platforms, ...created.map(c => c.platform)], transactions: [...entries, ...openings, ...s.transactions] };
+    });
+  }
+
+  async function runSync() {
+    if (!state.platforms.some(isSyncable)) return alert("No platform has sync turned on. Enable it from a platform's edit dialog.");
+    setSyncing(true);
+    try {
+      const results = await fetchSyncResults(state.platforms);
+      setState(s => applySyncResults(s, results));
+    } catch (e) {
+      // Adapter failures come back as per-platform results; anything else is shown on every synced platform.
+      const error = e.message || String(e);
+      setState(s => applySyncResults(s, s.platforms.filter(isSyncable).map(p => ({ platformId: p.id, error }))));
+    } finally {
+      setSyncing(false);
+    }
+  }
+
+  function updateSettings(patch) {
+    setState(s => ({ ...s, settings: { ...s.settings, ...patch } }));
+  }
+
+  function updateDevice(patch) {
+    const next = { ...device, ...patch };
+    saveDeviceSettings(next);
+    setDevice(next);
+  }
+
+  async function setNotifications(on) {
+    if (on && notificationsSupported() && Notification.permission === "default") await Notification.requestPermission();
+    updateDevice({ notifications: on });
+  }
+
+  async function setReminder(patch) {
+    const next = { ...reminder, ...patch };
+    if (next.enabled && notificationsSupported() && Notification.permission === "default") await Notification.requestPermission();
+    updateDevice({ reminder: next });
+  }
+
+  // A budget of 0/empty removes the project's entry; the tag on transactions is untouched.
+  function setProjectBudget(name, budget) {
+    setState(s => {
+      const projects = s.projects || [];
+      const existing = findProject(projects, name);
+      const value = Number(budget) || 0;
+      if (!value) return { ...s, projects: projects.filter(p => p !== existing) };
+      if (existing) return { ...s, projects: projects.map(p => p === existing ? { ...p, budget: value } : p) };
+      return { ...s, projects: [...projects, { id: crypto.randomUUID(), name: name.trim(), budget: value }] };
+    });
+  }
+
   function exportCSV() {
-    const headers1 = ["Platform","Credits","Unit","MonthlyAllowance","Account"]; 
-    const rows1 = state.platforms.map(p => [p.name,p.credits,p.unit,p.monthlyAllowance,p.account]);
+    downloadFile(`creditradar_${todayKey()}.csv`, ledgerToCSV(state), "text/csv;charset=utf-8;");
+  }
 
-    const headers2 = ["Date","Platform","Amount","Project","Note"]; 
-    const rows2 = state.transactions.map(t => [t.date,t.platform,t.amount,t.project||"",t.note||""]); 
+  function exportBackup() {
+    downloadFile(`creditradar_backup_${todayKey()}.json`, serializeBackup(state), "application/json");
+  }
 
-    // FIX: use \n instead of a literal line break in string literal
-    const make = (rows) => rows.map(r => r.map(v => `"${String(v).replaceAll('"','""')}"`).join(",")).join("\n");
-    const part1 = make([headers1, ...rows1]);
-    const part2 = make([headers2, ...rows2]);
-    const content = `Balances\n${part1}\n\nTransactions\n${part2}`;
-    const blob = new Blob([content], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url; a.download = `creditradar_${new Date().toISOString().slice(0,10)}.csv`;
-    document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+  // Everything the palette offers; `run` is called after it closes.
+  function paletteCommands() {
+    const views = { dashboard: "Dashboard", analytics: "Analytics", projects: "Projects", schedules: "Schedules", statements: "Statements" };
+    return [
+      ...state.platforms.flatMap(p => (p.templates || []).map(t => ({
+        id: `log-${p.id}-${t.id}`, group: "Log", label: `${t.name} (${platformLabel(p)}) ${t.amount}`, run: () => logTemplate(p, t),
+      }))),
+      { id: "log-form", group: "Log", label: "Transaction…", run: () => setShowTxn(true) },
+      { id: "filter-all", group: "Filter", label: "All platforms", run: () => { setView("dashboard"); setQuery(q => ({ ...q, platform: ALL })); } },
+      ...state.platforms.map(p => ({
+        id: `filter-${p.id}`, group: "Filter", label: platformLabel(p), run: () => { setView("dashboard"); setQuery(q => ({ ...q, platform: p.id })); },
+      })),
+      ...Object.entries(views).map(([key, label]) => ({ id: `view-${key}`, group: "Go to", label, run: () => setView(key) })),
+      { id: "export-csv", group: "Export", label: "CSV", run: exportCSV },
+      { id: "export-backup", group: "Export", label: "JSON backup", run: exportBackup },
+      { id: "open-add", group: "Open", label: "Add platform", run: () => { setAddError(""); setShowAdd(true); } },
+      { id: "open-import", group: "Open", label: "Import", run: () => setShowImport(true) },
+      { id: "open-backup", group: "Open", label: "Backup", run: () => setShowBackup(true) },
+      { id: "open-share", group: "Open", label: "Share snapshot", run: () => setShowShare(true) },
+      { id: "open-alerts", group: "Open", label: "Alerts", run: () => setShowAlerts(true) },
+      { id: "open-settings", group: "Open", label: "Settings", run: () => setShowSettings(true) },
+      { id: "sync", group: "Run", label: "Sync", run: runSync },
+    ];
   }
 
   return (
-    <div className="min-h-screen bg-zinc-950 text-zinc-100">
-      <header className="sticky top-0 z-10 border-b border-zinc-800 bg-zinc-950/80 backdrop-blur">
+    <div className="min-h-screen bg-zinc-950 text-zinc-100 print:min-h-0 print:bg-white">
+      <header className="sticky top-0 z-10 print:hidden border-b border-zinc-800 bg-zinc-950/80 backdrop-blur">
         <div className="mx-auto max-w-7xl px-4 py-3 flex items-center gap-3">
           <div className="flex items-center gap-2">
             <Wallet2 className="h-6 w-6 text-emerald-400" />
             <h1 className="text-lg font-semibold tracking-tight">CreditRadar</h1>
           </div>
           <div className="ml-auto flex items-center gap-2">
+            <button onClick={history.undo} disabled={!history.canUndo} className="rounded-2xl bg-zinc-800 p-2 hover:bg-zinc-700 disabled:opacity-40 disabled:hover:bg-zinc-800" aria-label="Undo" title="Undo (Ctrl+Z)">
+              <Undo2 className="h-4 w-4" />
+            </button>
+            <button onClick={history.redo} disabled={!history.canRedo} className="rounded-2xl bg-zinc-800 p-2 hover:bg-zinc-700 disabled:opacity-40 disabled:hover:bg-zinc-800" aria-label="Redo" title="Redo (Ctrl+Shift+Z)">
+              <Redo2 className="h-4 w-4" />
+            </button>
+            <button onClick={() => setShowPalette(true)} className="rounded-2xl bg-zinc-800 p-2 hover:bg-zinc-700" aria-label="Command palette" title="Command palette (Ctrl+K)">
+              <Command className="h-4 w-4" />
+            </button>
             <button onClick={() => setShowTxn(true)} className="inline-flex items-center gap-2 rounded-2xl bg-zinc-800 px-3 py-2 text-sm hover:bg-zinc-700">
               <CreditCard className="h-4 w-4" /> Log usage
             </button>
-            <button onClick={() => setShowAdd(true)} className="inline-flex items-center gap-2 rounded-2xl bg-emerald-500 px-3 py-2 text-sm font-medium text-zinc-950 hover:bg-emerald-400">
+            <button onClick={() => { setAddError(""); setShowAdd(true); }} className="inline-flex items-center gap-2 rounded-2xl bg-emerald-500 px-3 py-2 text-sm font-medium text-on-accent hover:bg-emerald-400">
               <Plus className="h-4 w-4" /> Add platform
             </button>
             <button onClick={exportCSV} className="inline-flex items-center gap-2 rounded-2xl bg-zinc-800 px-3 py-2 text-sm hover:bg-zinc-700">
               <Download className="h-4 w-4" /> Export CSV
             </button>
-            <button onClick={() => alert('Daily sync is simulated in this prototype.')} className="inline-flex items-center gap-2 rounded-2xl bg-zinc-800 px-3 py-2 text-sm hover:bg-zinc-700">
-              <RefreshCw className="h-4 w-4" /> Sync
+            <button onClick={() => setShowImport(true)} className="inline-flex items-center gap-2 rounded-2xl bg-zinc-800 px-3 py-2 text-sm hover:bg-zinc-700">
+              <Upload className="h-4 w-4" /> Import
+            </button>
+            <button onClick={() => setShowBackup(true)} className="inline-flex items-center gap-2 rounded-2xl bg-zinc-800 px-3 py-2 text-sm hover:bg-zinc-700">
+              <Archive className="h-4 w-4" /> Backup
+            </button>
+            <button onClick={() => setShowShare(true)} className="rounded-2xl bg-zinc-800 p-2 hover:bg-zinc-700" aria-label="Share snapshot" title="Share a read-only snapshot">
+              <Share2 className="h-4 w-4" />
+            </button>
+            <button onClick={() => setShowAlerts(true)} className="relative rounded-2xl bg-zinc-800 p-2 hover:bg-zinc-700" aria-label="Alerts">
+              <Bell className="h-4 w-4" />
+              {alertCount > 0 && <span className="absolute -right-1 -top-1 min-w-[1.1rem] rounded-full bg-amber-500 px-1 text-center text-[10px] font-semibold leading-[1.1rem] text-on-accent">{alertCount}</span>}
             </button>
-            <button onClick={() => alert('Use the edit icon on a platform to set balance, unit, and allowance.')} className="rounded-2xl bg-zinc-800 p-2 hover:bg-zinc-700" aria-label="Settings">
+            <button onClick={runSync} disabled={syncing} className="inline-flex items-center gap-2 rounded-2xl bg-zinc-800 px-3 py-2 text-sm hover:bg-zinc-700 disabled:opacity-60">
+              <RefreshCw className={classNames("h-4 w-4", syncing && "animate-spin")} /> Sync
+            </button>
+            <button onClick={() => setShowSettings(true)} className="rounded-2xl bg-zinc-800 p-2 hover:bg-zinc-700" aria-label="Settings">
               <Settings className="h-4 w-4" />
             </button>
           </div>
         </div>
       </header>
 
-      <main className="mx-auto max-w-7xl px-4 py-6 space-y-6">
-        {/* Top KPIs */}
-        <section className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
-          <KPI icon={<Coins className="h-4 w-4" />} label="Total credits" value={totalCredits.toLocaleString()} sub="across all platforms" />
-          <KPI icon={<BarChart3 className="h-4 w-4" />} label="Daily burn (30d)" value={dailyBurn} sub="credits/day" />
-          <KPI icon={<Cloud className="h-4 w-4" />} label="Platforms" value={state.platforms.length} sub="connected" />
-          <KPI icon={<Bell className="h-4 w-4" />} label="Forecast" value={Number.isFinite(forecastDays) ? `${forecastDays} days` : "∞"} sub="until depletion" />
-        </section>
-
-        {/* Platforms grid */}
-        <section className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
-          {state.platforms.map((p) => (
-            <PlatformCard
-              key={p.id}
-              platform={p}
-              onEdit={() => setEditing(p.id)}
-              onRemove={() => removePlatform(p.id)}
-              transactions={state.transactions.filter(t => t.platform === p.name)}
-            />
+      <main className="mx-auto max-w-7xl px-4 py-6 space-y-6 print:max-w-none print:p-0">
+        <nav className="flex gap-1 print:hidden">
+          {[["dashboard", "Dashboard"], ["analytics", "Analytics"], ["projects", "Projects"], ["schedules", "Schedules"], ["statements", "Statements"]].map(([key, label]) => (
+            <button key={key} onClick={()=>setView(key)} className={classNames("rounded-xl px-3 py-1.5 text-sm", view === key ? "bg-zinc-800 text-zinc-100" : "text-zinc-400 hover:bg-zinc-900")}>{label}</button>
           ))}
-        </section>
+        </nav>
 
-        {/* Spend chart + transactions */}
-        <section className="grid grid-cols-1 lg:grid-cols-3 gap-4">
-          <div className="col-span-1 lg:col-span-2 rounded-2xl border border-zinc-800 bg-zinc-900 p-4">
-            <div className="mb-3 flex items-center justify-between">
-              <h3 className="text-sm font-semibold text-zinc-300">14‑day spend</h3>
-            </div>
-            <div className="h-56">
-              <ResponsiveContainer width="100%" height="100%">
-                <AreaChart data={chartData} margin={{ left: 0, right: 8, top: 8, bottom: 0 }}>
-                  <defs>
-                    <linearGradient id="grad" x1="0" y1="0" x2="0" y2="1">
-                      <stop offset="5%" stopColor="#22c55e" stopOpacity={0.6}/>
-                      <stop offset="95%" stopColor="#22c55e" stopOpacity={0}/>
-                    </linearGradient>
-                  </defs>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#27272a" />
-                  <XAxis dataKey="date" stroke="#a1a1aa" tick={{ fontSize: 12 }} />
-                  <YAxis stroke="#a1a1aa" tick={{ fontSize: 12 }} />
-                  <Tooltip contentStyle={{ background: "#18181b", border: "1px solid #27272a", borderRadius: 12, color: "#e4e4e7" }} />
-                  <Area type="monotone" dataKey="spend" stroke="#22c55e" fill="url(#grad)" />
-                </AreaChart>
-              </ResponsiveContainer>
-            </div>
-          </div>
+        {view === "analytics" ? (
+          <AnalyticsView transactions={state.transactions} platforms={state.platforms} />
+        ) : view === "projects" ? (
+          <ProjectsView
+            transactions={state.transactions}
+            projects={state.projects || []}
+            colors={platformColors}
+            onSetBudget={setProjectBudget}
+          />
+        ) : view === "statements" ? (
+          <StatementsView state={state} projectNames={projectNames} currency={currency.display} />
+        ) : view === "schedules" ? (
+          <SchedulesView
+            schedules={state.schedules || []}
+            platforms={state.platforms}
+            members={members}
+            onSave={saveSchedule}
+            onToggle={toggleSchedule}
+            onRemove={removeSchedule}
+          />
+        ) : (<>
+          <KpiRow platformCount={state.platforms.length} total={totalCredits} value={balanceValue} burn={dailyBurn} burnValue={burnValue} burnDays={burnDays} forecast={forecast} currency={currency.display} />
 
-          <div className="rounded-2xl border border-zinc-800 bg-zinc-900 p-4">
-            <div className="mb-3 flex items-center justify-between">
-              <h3 className="text-sm font-semibold text-zinc-300">Transactions</h3>
-              <select value={filter} onChange={(e)=>setFilter(e.target.value)} className="rounded-xl bg-zinc-800 px-3 py-1 text-sm">
-                <option>All</option>
-                {state.platforms.map(p => <option key={p.id}>{p.name}</option>)}
-              </select>
-            </div>
-            <ul className="space-y-2 max-h-64 overflow-auto pr-1">
-              {filteredTxns.map(t => (
-                <li key={t.id} className="rounded-xl border border-zinc-800 bg-zinc-950 px-3 py-2">
-                  <div className="flex items-center justify-between text-sm">
-                    <span className="text-zinc-300">{t.platform} • {t.project || "—"}</span>
-                    <span className={classNames("font-medium", t.amount < 0 ? "text-rose-400" : "text-emerald-400")}>{t.amount}</span>
-                  </div>
-                  <div className="text-xs text-zinc-500">{t.date} • {t.note || ""}</div>
-                </li>
-              ))}
-              {!filteredTxns.length && (
-                <li className="text-sm text-zinc-500">No transactions yet.</li>
-              )}
-            </ul>
-            <button onClick={()=>setShowTxn(true)} className="mt-3 w-full rounded-xl bg-zinc-800 py-2 text-sm hover:bg-zinc-700">Add transaction</button>
-          </div>
-        </section>
+          {/* Platforms grid */}
+          <section className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+            {state.platforms.map((p) => (
+              <PlatformCard
+                key={p.id}
+                platform={p}
+                balance={balances[p.id] || 0}
+                value={creditsToMoney(balances[p.id] || 0, p, state.settings)}
+                currency={currency.display}
+                alerting={alertingIds.has(p.id)}
+                onEdit={() => setEditing(p.id)}
+                onRemove={() => removePlatform(p.id)}
+                transactions={state.transactions.filter(t => belongsTo(t, p))}
+                schedules={(state.schedules || []).filter(x => belongsTo(x, p))}
+                onLog={(t)=>logTemplate(p, t)}
+                method={forecastMethod}
+                forecastWindow={prefs.forecastWindow}
+                chartDays={prefs.chartDays}
+              />
+            ))}
+          </section>
+
+          {/* Spend chart + transactions */}
+          <section className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            <SpendChart data={chartData} currency={currency.display} />
+
+            <TransactionPanel
+              transactions={state.transactions}
+              platforms={state.platforms}
+              accounts={accounts}
+              members={members}
+              query={query}
+              onQuery={setQuery}
+              overBudget={overBudget}
+              moneyOf={moneyOf}
+              currency={currency.display}
+              onEdit={setEditingTxn}
+              onRemove={removeTransaction}
+              onAdd={()=>setShowTxn(true)}
+            />
+          </section>
+
+          <SpendGroups
+            groups={spendGroups}
+            groupBy={groupBy}
+            onGroupBy={setGroupBy}
+            onPick={(key)=>setQuery({ ...query, [groupBy]: key })}
+          />
+        </>)}
       </main>
 
       {showAdd && (
@@ -333,7 +729,9 @@ export default function App() {
               <span className="text-xs text-emerald-300">Create your own</span>
             </button>
             <div className="pt-2 text-xs text-zinc-500">Or pick a preset:</div>
-            {PLATFORM_PRESETS.map((p) => (
+            {addError && <FieldError>{addError}</FieldError>}
+            {!presets.length && <div className="text-xs text-zinc-500">No presets – add your own in Settings.</div>}
+            {presets.map((p) => (
               <button key={p.key} onClick={()=>addPlatform(p.key)} className="flex w-full items-center justify-between rounded-xl border border-zinc-800 bg-zinc-900 px-3 py-2 hover:bg-zinc-800">
                 <span className="text-sm">{p.key}</span>
                 <span className="h-4 w-4 rounded-full" style={{ background: p.color }} />
@@ -346,6 +744,8 @@ export default function App() {
       {showNew && (
         <NewPlatformModal
           onClose={()=>setShowNew(false)}
+          currencies={Object.keys(currency.rates)}
+          prefs={prefs}
           onCreate={addCustomPlatform}
         />
       )}
@@ -353,8 +753,10 @@ export default function App() {
       {typeof editing === 'string' && (
         <EditPlatform
           platform={state.platforms.find(p => p.id === editing)}
+          balance={balances[editing] || 0}
+          currencies={Object.keys(currency.rates)}
           onClose={()=>setEditing(null)}
-          onSave={(patch)=>{ updatePlatform(editing, patch); setEditing(null); }}
+          onSave={(form)=>{ const errors = savePlatform(editing, form); if (!hasErrors(errors)) setEditing(null); return errors; }}
           onRemove={()=>{ removePlatform(editing); setEditing(null); }}
         />
       )}
@@ -362,9 +764,80 @@ export default function App() {
       {showTxn && (
         <TransactionDrawer
           platforms={state.platforms}
+          members={members}
+          prefs={prefs}
+          draft={typeof showTxn === "object" ? showTxn : null}
           onClose={()=>setShowTxn(false)}
-          onCreate={(t)=>{ addTransaction(t); const p = state.platforms.find(p=>p.name===t.platform); if (p) updatePlatform(p.id, { credits: Number(p.credits) + Number(t.amount) }); setShowTxn(false); }}
-          onCreatePlatform={(pf)=>{ addCustomPlatform(pf); }}
+          onSave={(t)=>{ const errors = saveTransaction(null, t); if (!hasErrors(errors)) setShowTxn(false); return errors; }}
+          onCreatePlatform={addCustomPlatform}
+        />)
+      }
+
+      {showImport && (
+        <ImportModal
+          platforms={state.platforms}
+          transactions={state.transactions}
+          onClose={()=>setShowImport(false)}
+          onImport={(data)=>{ importData(data); setShowImport(false); }}
+        />
+      )}
+
+      {showSettings && (
+        <SettingsModal
+          settings={state.settings || {}}
+          device={device}
+          onDeviceChange={updateDevice}
+          server={server}
+          serverStatus={serverStatus}
+          onServerChange={changeServer}
+          onChange={updateSettings}
+          onClose={()=>setShowSettings(false)}
+        />
+      )}
+
+      {showAlerts && (
+        <AlertCenter
+          alerts={alerts}
+          notifications={!!device.notifications}
+          onToggleNotifications={setNotifications}
+          reminder={reminder}
+          reminderDue={remind}
+          onReminderChange={setReminder}
+          onLogUsage={()=>{ setShowAlerts(false); setShowTxn(true); }}
+          onEditPlatform={(id)=>{ setShowAlerts(false); setEditing(id); }}
+          onClose={()=>setShowAlerts(false)}
+        />
+      )}
+
+      {showShare && <ShareModal state={state} onClose={()=>setShowShare(false)} />}
+
+      {showBackup && (
+        <BackupModal
+          onClose={()=>setShowBackup(false)}
+          onExport={exportBackup}
+          onRestore={(restored)=>{ setState(applySchedules(applyRenewals(takeDeviceSettings(restored)))); setShowBackup(false); }}
+        />
+      )}
+
+      {showPalette && (
+        <CommandPalette
+          commands={paletteCommands()}
+          platforms={state.platforms}
+          projectNames={projectNames}
+          onQuickEntry={(entry)=>setShowTxn({ platformId: entry.platform.id, member: entry.platform.member || "", amount: entry.amount, project: entry.project, note: entry.note })}
+          onClose={()=>setShowPalette(false)}
+        />
+      )}
+
+      {typeof editingTxn === 'string' && (
+        <TransactionDrawer
+          platforms={state.platforms}
+          members={members}
+          prefs={prefs}
+          initial={state.transactions.find(t => t.id === editingTxn)}
+          onClose={()=>setEditingTxn(null)}
+          onSave={(t)=>{ const errors = saveTransaction(editingTxn, t); if (!hasErrors(errors)) setEditingTxn(null); return errors; }}
+          onCreatePlatform={addCustomPlatform}
         />)
       }
     </div>
@@ -381,66 +854,129 @@ function KPI({ icon, label, value, sub }) {
   );
 }
 
-function PlatformCard({ platform, onEdit, onRemove, transactions }) {
-  const spent30 = useMemo(() => {
-    const cut = new Date(Date.now() - 30*24*3600*1000);
-    return Math.abs(transactions.filter(t=> new Date(t.date) >= cut && t.amount < 0).reduce((a,t)=>a+t.amount,0));
-  }, [transactions]);
+function KpiRow({ platformCount, total, value, burn, burnValue, burnDays, forecast, currency }) {
+  const days = daysUntilDepletion(forecast);
+  return (
+    <section className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+      <KPI icon={<Coins className="h-4 w-4" />} label="Total credits" value={formatNumber(total)} sub={value.total ? `≈ ${formatMoney(value.total, currency)}${value.missing ? ` (${value.missing} unpriced)` : ""}` : "across all platforms"} />
+      <KPI icon={<BarChart3 className="h-4 w-4" />} label={`Daily burn (${burnDays}d)`} value={formatNumber(burn)} sub={burnValue ? `credits/day • ≈ ${formatMoney(burnValue, currency)}/day` : "credits/day"} />
+      <KPI icon={<Cloud className="h-4 w-4" />} label="Platforms" value={platformCount} sub="connected" />
+      <KPI icon={<Bell className="h-4 w-4" />} label="Forecast" value={Number.isFinite(days) ? `${days} days` : "∞"} sub={forecast.depletion ? `until depletion • ${forecast.depletion.earliest} – ${forecast.depletion.latest ?? "later"}` : "until depletion"} />
+    </section>
+  );
+}
+
+function SpendChart({ data, currency }) {
+  const [unit, setUnit] = useState("credits"); // credits | money
+  return (
+    <div className="col-span-1 lg:col-span-2 rounded-2xl border border-zinc-800 bg-zinc-900 p-4">
+      <div className="mb-3 flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-zinc-300">{data.length}‑day spend</h3>
+        <div className="flex gap-1 text-xs">
+          {[["credits", "Credits"], ["money", currency]].map(([key, label]) => (
+            <button key={key} onClick={()=>setUnit(key)} className={classNames("rounded-lg px-2 py-1", unit === key ? "bg-zinc-800 text-zinc-100" : "text-zinc-500 hover:bg-zinc-800")}>{label}</button>
+          ))}
+        </div>
+      </div>
+      <div className="h-56">
+        <ResponsiveContainer width="100%" height="100%">
+          <AreaChart data={data} margin={{ left: 0, right: 8, top: 8, bottom: 0 }}>
+            <defs>
+              <linearGradient id="grad" x1="0" y1="0" x2="0" y2="1">
+                <stop offset="5%" stopColor="#22c55e" stopOpacity={0.6}/>
+                <stop offset="95%" stopColor="#22c55e" stopOpacity={0}/>
+              </linearGradient>
+            </defs>
+            <CartesianGrid strokeDasharray="3 3" stroke={CHART.grid} />
+            <XAxis dataKey="date" stroke={CHART.axis} tick={{ fontSize: 12 }} />
+            <YAxis stroke={CHART.axis} tick={{ fontSize: 12 }} />
+            <Tooltip contentStyle={tooltipStyle} formatter={(v) => unit === "money" ? formatMoney(v, currency) : v} />
+            <Area type="monotone" dataKey={unit === "money" ? "cost" : "spend"} stroke="#22c55e" fill="url(#grad)" />
+          </AreaChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
 
-  const daily = +(spent30/30).toFixed(2);
-  const daysLeft = daily>0 ? Math.floor((platform.credits||0)/daily) : Infinity;
+// Edit/remove buttons and template chips only show when their handlers are passed (not in a snapshot).
+function PlatformCard({ platform, balance, value, currency, alerting, onEdit, onRemove, onLog, transactions, schedules, method, forecastWindow = 30, chartDays = 14, today = todayKey() }) {
+  const forecast = useMemo(() => forecastBalance({ balance, transactions, platforms: [platform], schedules, method, window: forecastWindow, today }), [balance, transactions, platform, schedules, method, forecastWindow, today]);
+  const left = daysUntilDepletion(forecast);
 
-  const data = useMemo(()=>{
-    const days = Array.from({length:14}).map((_,i)=>{
-      const d = new Date(Date.now() - (13-i)*24*3600*1000);
-      const key = d.toISOString().slice(0,10);
-      const dailySpend = transactions.filter(t=>t.date===key).reduce((a,t)=>a+t.amount,0);
-      return { date:key, bal: dailySpend };
-    });
-    let acc = 0; return days.map(d=>({ ...d, bal: (acc+=d.bal) }));
-  }, [transactions]);
+  // History ends at today's balance; the dashed projection starts from the same point.
+  const data = useMemo(() => {
+    const past = balanceSeries(transactions, chartDays, today);
+    past[past.length - 1] = { ...past[past.length - 1], proj: past[past.length - 1].bal };
+    return [...past, ...forecast.points.slice(0, chartDays).map(p => ({ date: p.date, proj: Math.round(p.proj) }))];
+  }, [transactions, forecast, chartDays, today]);
 
   return (
-    <div className="rounded-2xl border border-zinc-800 bg-zinc-900">
+    <div className={classNames("rounded-2xl border bg-zinc-900", alerting ? "border-amber-600/70" : "border-zinc-800")}>
       <div className="flex items-center justify-between px-4 py-3 border-b border-zinc-800">
         <div className="flex items-center gap-3">
           <span className="h-3.5 w-3.5 rounded-full" style={{ background: platform.color }} />
           <div>
             <div className="text-sm font-semibold">{platform.name}</div>
-            <div className="text-xs text-zinc-500">{platform.unit || 'credits'} • acct: {platform.account}</div>
+            <div className="text-xs text-zinc-500">
+              {platform.unit || 'credits'} • acct: {accountOf(platform)}
+              {platform.member && <> • seat: {platform.member}</>}
+              {hasRenewal(platform) && <> • +{formatNumber(platform.monthlyAllowance)}/mo on day {platform.renewalDay}</>}
+            </div>
+            {platform.sync?.enabled && (
+              <div className={classNames("text-xs", platform.sync.lastError ? "text-rose-400" : "text-zinc-500")} title={platform.sync.lastError || ""}>
+                {platform.sync.lastError
+                  ? `sync failed: ${platform.sync.lastError}`
+                  : platform.sync.lastSync ? `synced ${new Date(platform.sync.lastSync).toLocaleString()} • +${platform.sync.lastAdded || 0}` : "sync on, not run yet"}
+              </div>
+            )}
           </div>
         </div>
-        <div className="flex items-center gap-2">
-          <button onClick={onEdit} className="rounded-xl bg-zinc-800 p-2 hover:bg-zinc-700" aria-label="Edit"><Edit2 className="h-4 w-4"/></button>
-          <button onClick={onRemove} className="rounded-xl bg-zinc-800 p-2 hover:bg-zinc-700" aria-label="Remove"><Trash2 className="h-4 w-4"/></button>
-        </div>
+        {onEdit && (
+          <div className="flex items-center gap-2">
+            <button onClick={onEdit} className="rounded-xl bg-zinc-800 p-2 hover:bg-zinc-700" aria-label="Edit"><Edit2 className="h-4 w-4"/></button>
+            <button onClick={onRemove} className="rounded-xl bg-zinc-800 p-2 hover:bg-zinc-700" aria-label="Remove"><Trash2 className="h-4 w-4"/></button>
+          </div>
+        )}
       </div>
       <div className="px-4 pb-4 pt-3 grid grid-cols-2 gap-3">
         <div className="rounded-xl border border-zinc-800 bg-zinc-950 p-3">
           <div className="text-xs text-zinc-400">Balance</div>
-          <div className="text-xl font-semibold">{Number(platform.credits).toLocaleString()}</div>
+          <div className="text-xl font-semibold">{formatNumber(balance)}</div>
+          {value !== null && <div className="text-xs text-zinc-500">≈ {formatMoney(value, currency)}</div>}
         </div>
         <div className="rounded-xl border border-zinc-800 bg-zinc-950 p-3">
           <div className="text-xs text-zinc-400">Forecast</div>
-          <div className="text-xl font-semibold">{Number.isFinite(daysLeft)? `${daysLeft} d` : '∞'}</div>
+          <div className="text-xl font-semibold">{Number.isFinite(left)? `${left} d` : '∞'}</div>
+          {forecast.depletion && <div className="text-xs text-zinc-500" title="~80% range">{forecast.depletion.earliest} – {forecast.depletion.latest ?? "later"}</div>}
         </div>
         <div className="col-span-2 h-28">
           <ResponsiveContainer width="100%" height="100%">
             <LineChart data={data} margin={{ left: 0, right: 8, top: 8, bottom: 0 }}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#27272a" />
-              <XAxis dataKey="date" stroke="#a1a1aa" tick={{ fontSize: 11 }} />
-              <YAxis stroke="#a1a1aa" tick={{ fontSize: 11 }} />
-              <Tooltip contentStyle={{ background: "#18181b", border: "1px solid #27272a", borderRadius: 12, color: "#e4e4e7" }} />
+              <CartesianGrid strokeDasharray="3 3" stroke={CHART.grid} />
+              <XAxis dataKey="date" stroke={CHART.axis} tick={{ fontSize: 11 }} />
+              <YAxis stroke={CHART.axis} tick={{ fontSize: 11 }} />
+              <Tooltip contentStyle={tooltipStyle} />
               <Line type="monotone" dataKey="bal" stroke={platform.color} dot={false} />
+              <Line type="monotone" dataKey="proj" stroke={platform.color} strokeDasharray="4 4" strokeOpacity={0.6} dot={false} />
             </LineChart>
           </ResponsiveContainer>
         </div>
+        {onLog && platform.templates?.length > 0 && (
+          <div className="col-span-2 flex flex-wrap gap-1">
+            {platform.templates.map(t => (
+              <button key={t.id} onClick={()=>onLog(t)} className="inline-flex items-center gap-1 rounded-lg bg-zinc-800 px-2 py-1 text-xs text-zinc-300 hover:bg-zinc-700" title={`Log ${t.amount} now`}>
+                <Zap className="h-3 w-3" /> {t.name} <span className={t.amount < 0 ? "text-rose-400" : "text-emerald-400"}>{t.amount}</span>
+              </button>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
 }
 
-function Modal({ title, children, onClose }) {
+function Modal({ title, children, onClose, wide = false }) {
   useEffect(() => {
     const onEsc = (e) => e.key === 'Escape' && onClose();
     window.addEventListener('keydown', onEsc);
@@ -448,7 +984,7 @@ function Modal({ title, children, onClose }) {
   }, [onClose]);
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
-      <div className="w-full max-w-md rounded-2xl border border-zinc-800 bg-zinc-900 p-4" onClick={(e)=>e.stopPropagation()}>
+      <div className={classNames("w-full max-h-[90vh] overflow-auto rounded-2xl border border-zinc-800 bg-zinc-900 p-4", wide ? "max-w-3xl" : "max-w-md")} onClick={(e)=>e.stopPropagation()}>
         <div className="mb-3 text-sm font-semibold">{title}</div>
         {children}
         <div className="mt-4 text-right">
@@ -459,32 +995,55 @@ function Modal({ title, children, onClose }) {
   );
 }
 
-function EditPlatform({ platform, onClose, onSave, onRemove }) {
+function EditPlatform({ platform, balance, currencies, onClose, onSave, onRemove }) {
   const [form, setForm] = useState({
     name: platform?.name || "",
-    credits: platform?.credits || 0,
+    credits: balance || 0,
     unit: platform?.unit || "credits",
-    account: platform?.account || "main",
+    account: accountOf(platform),
+    member: platform?.member || "",
     monthlyAllowance: platform?.monthlyAllowance || 0,
+    renewalDay: platform?.renewalDay || 1,
+    rollover: platform?.rollover || "keep",
+    rolloverCap: platform?.rolloverCap || 0,
+    planPrice: platform?.planPrice || 0,
+    planCredits: platform?.planCredits || 0,
+    currency: platform?.currency || "USD",
     color: platform?.color || "#64748b",
+    alerts: { minBalance: "", minPercent: "", minDays: "", ...platform?.alerts },
+    sync: { adapter: "mock", enabled: false, config: {}, ...platform?.sync },
+    templates: platform?.templates || [],
   });
+  const [errors, setErrors] = useState({});
+  const setAlert = (k, v) => setForm({ ...form, alerts: { ...form.alerts, [k]: v === "" ? "" : Number(v) } });
   return (
-    <Modal title={`Edit ${platform?.name}`} onClose={onClose}>
+    <Modal title={`Edit ${platformLabel(platform)}`} onClose={onClose}>
       <div className="space-y-3">
-        <LabeledInput label="Name" value={form.name} onChange={(e)=>setForm({...form,name:e.target.value})} />
-        <LabeledInput label="Balance" type="number" value={form.credits} onChange={(e)=>setForm({...form,credits:Number(e.target.value)})} />
+        <LabeledInput label="Name" value={form.name} error={errors.name} onChange={(e)=>setForm({...form,name:e.target.value})} />
+        <LabeledInput label="Balance (change posts an adjustment)" type="number" value={form.credits} error={errors.credits} onChange={(e)=>setForm({...form,credits:Number(e.target.value)})} />
         <LabeledInput label="Unit" value={form.unit} onChange={(e)=>setForm({...form,unit:e.target.value})} />
         <LabeledInput label="Account" value={form.account} onChange={(e)=>setForm({...form,account:e.target.value})} />
-        <LabeledInput label="Monthly allowance (auto top‑up)" type="number" value={form.monthlyAllowance} onChange={(e)=>setForm({...form,monthlyAllowance:Number(e.target.value)})} />
+        <LabeledInput label="Seat owner (optional)" value={form.member} onChange={(e)=>setForm({...form,member:e.target.value})} />
+        <LabeledInput label="Monthly allowance (auto top‑up)" type="number" value={form.monthlyAllowance} error={errors.monthlyAllowance} onChange={(e)=>setForm({...form,monthlyAllowance:Number(e.target.value)})} />
+        <RenewalFields form={form} setForm={setForm} errors={errors} />
+        <PricingFields form={form} setForm={setForm} currencies={currencies} errors={errors} />
         <div className="flex items-center gap-3">
           <label className="text-sm text-zinc-300 w-48">Color</label>
           <input type="color" value={form.color} onChange={(e)=>setForm({...form,color:e.target.value})} className="h-8 w-16 rounded" />
         </div>
+        <div className="pt-1 text-xs text-zinc-500">Alerts (leave empty to turn off)</div>
+        <LabeledInput label="Balance below" type="number" value={form.alerts.minBalance} error={errors["alerts.minBalance"]} onChange={(e)=>setAlert("minBalance", e.target.value)} />
+        {Number(form.monthlyAllowance) > 0 && (
+          <LabeledInput label="% of allowance below" type="number" value={form.alerts.minPercent} error={errors["alerts.minPercent"]} onChange={(e)=>setAlert("minPercent", e.target.value)} />
+        )}
+        <LabeledInput label="Days left below" type="number" value={form.alerts.minDays} error={errors["alerts.minDays"]} onChange={(e)=>setAlert("minDays", e.target.value)} />
+        <SyncFields sync={form.sync} onChange={(sync)=>setForm({...form,sync})} />
+        <TemplateFields templates={form.templates} onChange={(templates)=>setForm({...form,templates})} />
         <div className="flex justify-between pt-2">
           <button onClick={onRemove} className="inline-flex items-center gap-2 rounded-xl border border-rose-800 bg-rose-950 px-3 py-2 text-sm text-rose-300 hover:bg-rose-900/40"><Trash2 className="h-4 w-4"/>Remove</button>
           <div className="space-x-2">
             <button onClick={onClose} className="rounded-xl bg-zinc-800 px-3 py-2 text-sm hover:bg-zinc-700">Cancel</button>
-            <button onClick={()=>onSave(form)} className="rounded-xl bg-emerald-500 px-3 py-2 text-sm font-medium text-zinc-950 hover:bg-emerald-400">Save</button>
+            <button onClick={()=>setErrors(onSave(form))} className="rounded-xl bg-emerald-500 px-3 py-2 text-sm font-medium text-on-accent hover:bg-emerald-400">Save</button>
           </div>
         </div>
       </div>
@@ -492,99 +1051,1434 @@ function EditPlatform({ platform, onClose, onSave, onRemove }) {
   );
 }
 
-function NewPlatformModal({ onCreate, onClose }) {
-  const [form, setForm] = useState({ name: "", credits: 0, unit: "credits", account: "main", monthlyAllowance: 0, color: "#22c55e" });
+function NewPlatformModal({ currencies, prefs = preferences(), onCreate, onClose }) {
+  const [form, setForm] = useState({ name: "", credits: 0, unit: prefs.defaultUnit, account: prefs.defaultAccount, member: "", monthlyAllowance: 0, renewalDay: 1, rollover: "keep", rolloverCap: 0, planPrice: 0, planCredits: 0, currency: "USD", color: "#22c55e" });
+  const [errors, setErrors] = useState({});
   return (
     <Modal title="Create NEW Platform" onClose={onClose}>
       <div className="space-y-3">
-        <LabeledInput label="Name (e.g., 'Hailuo', 'Veo3', 'Custom')" value={form.name} onChange={(e)=>setForm({...form,name:e.target.value})} />
-        <LabeledInput label="Starting balance" type="number" value={form.credits} onChange={(e)=>setForm({...form,credits:Number(e.target.value)})} />
+        <LabeledInput label="Name (e.g., 'Hailuo', 'Veo3', 'Custom')" value={form.name} error={errors.name} onChange={(e)=>setForm({...form,name:e.target.value})} />
+        <LabeledInput label="Starting balance" type="number" value={form.credits} error={errors.credits} onChange={(e)=>setForm({...form,credits:Number(e.target.value)})} />
         <LabeledInput label="Unit" value={form.unit} onChange={(e)=>setForm({...form,unit:e.target.value})} />
-        <LabeledInput label="Account" value={form.account} onChange={(e)=>setForm({...form,account:e.target.value})} />
-        <LabeledInput label="Monthly allowance" type="number" value={form.monthlyAllowance} onChange={(e)=>setForm({...form,monthlyAllowance:Number(e.target.value)})} />
+        <LabeledInput label="Account (e.g. a second seat)" value={form.account} onChange={(e)=>setForm({...form,account:e.target.value})} />
+        <LabeledInput label="Seat owner (optional)" value={form.member} onChange={(e)=>setForm({...form,member:e.target.value})} />
+        <LabeledInput label="Monthly allowance" type="number" value={form.monthlyAllowance} error={errors.monthlyAllowance} onChange={(e)=>setForm({...form,monthlyAllowance:Number(e.target.value)})} />
+        <RenewalFields form={form} setForm={setForm} errors={errors} />
+        <PricingFields form={form} setForm={setForm} currencies={currencies} errors={errors} />
         <div className="flex items-center gap-3">
           <label className="text-sm text-zinc-300 w-48">Color</label>
           <input type="color" value={form.color} onChange={(e)=>setForm({...form,color:e.target.value})} className="h-8 w-16 rounded" />
         </div>
         <div className="flex justify-end gap-2 pt-2">
           <button onClick={onClose} className="rounded-xl bg-zinc-800 px-3 py-2 text-sm hover:bg-zinc-700">Cancel</button>
-          <button onClick={()=>onCreate(form)} className="rounded-xl bg-emerald-500 px-3 py-2 text-sm font-medium text-zinc-950 hover:bg-emerald-400">Create</button>
+          <button onClick={()=>setErrors(onCreate(form).errors)} className="rounded-xl bg-emerald-500 px-3 py-2 text-sm font-medium text-on-accent hover:bg-emerald-400">Create</button>
         </div>
       </div>
     </Modal>
   );
 }
 
-function TransactionDrawer({ platforms, onCreate, onClose, onCreatePlatform }) {
-  const [form, setForm] = useState({ platform: platforms[0]?.name || "", amount: -10, project: "", note: "", date: new Date().toISOString().slice(0,10) });
-  const [newPf, setNewPf] = useState({ name: "", credits: 0, unit: "credits", account: "main", monthlyAllowance: 0, color: "#22c55e" });
+// `initial` edits an existing entry; `draft` prefills a new one (e.g. from a one-line entry).
+function TransactionDrawer({ platforms, members = [], prefs = preferences(), initial, draft, onSave, onClose, onCreatePlatform }) {
+  const first = platforms[0];
+  const [form, setForm] = useState(initial
+    ? { platformId: initial.platformId, member: initial.member || "", amount: initial.amount, project: initial.project || "", note: initial.note || "", date: initial.date, time: initial.time || "" }
+    : { platformId: first?.id || "", member: first?.member || "", amount: -10, project: "", note: "", date: todayKey(), time: timeOfDay(), ...draft });
+  const [errors, setErrors] = useState({});
+  const [newPf, setNewPf] = useState({ name: "", credits: 0, unit: prefs.defaultUnit, account: prefs.defaultAccount, monthlyAllowance: 0, color: "#22c55e" });
+  const [newErrors, setNewErrors] = useState({});
   const [makeNew, setMakeNew] = useState(false);
 
+  // Picking a seat defaults the member to its owner, unless one was typed already.
   function handlePlatformChange(val){
     if (val === "__NEW__") {
       setMakeNew(true);
-      setForm({ ...form, platform: "" });
+      setForm({ ...form, platformId: "" });
     } else {
+      const p = platforms.find(x => x.id === val);
       setMakeNew(false);
-      setForm({ ...form, platform: val });
+      setForm({ ...form, platformId: p.id, member: form.member || p.member || "" });
     }
   }
 
   function createAndSelect(){
-    const trimmed = (newPf.name||"").trim();
-    if (!trimmed) return alert("Name is required");
-    onCreatePlatform?.(newPf);
-    setForm({ ...form, platform: trimmed });
+    const { errors: found, platform } = onCreatePlatform(newPf);
+    setNewErrors(found);
+    if (!platform) return;
+    setForm({ ...form, platformId: platform.id });
     setMakeNew(false);
   }
 
   return (
-    <Modal title="Add Transaction" onClose={onClose}>
+    <Modal title={initial ? "Edit Transaction" : "Add Transaction"} onClose={onClose}>
       <div className="space-y-3">
         <div className="flex items-center gap-3">
           <label className="text-sm text-zinc-300 w-48">Platform</label>
-          <select value={makeNew ? "__NEW__" : form.platform} onChange={(e)=>handlePlatformChange(e.target.value)} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm">
-            {platforms.map(p => <option key={p.id} value={p.name}>{p.name}</option>)}
+          <select value={makeNew ? "__NEW__" : form.platformId} onChange={(e)=>handlePlatformChange(e.target.value)} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm">
+            {platforms.map(p => <option key={p.id} value={p.id}>{platformLabel(p)}</option>)}
             <option value="__NEW__">NEW… (create custom)</option>
           </select>
         </div>
+        {errors.platform && !makeNew && <FieldError indent>{errors.platform}</FieldError>}
 
         {makeNew && (
           <div className="rounded-xl border border-emerald-700/50 bg-emerald-900/20 p-3 space-y-2">
             <div className="text-xs text-emerald-300 font-medium">Create new platform</div>
-            <LabeledInput label="Name" value={newPf.name} onChange={(e)=>setNewPf({...newPf,name:e.target.value})} />
-            <LabeledInput label="Starting balance" type="number" value={newPf.credits} onChange={(e)=>setNewPf({...newPf,credits:Number(e.target.value)})} />
+            <LabeledInput label="Name" value={newPf.name} error={newErrors.name} onChange={(e)=>setNewPf({...newPf,name:e.target.value})} />
+            <LabeledInput label="Starting balance" type="number" value={newPf.credits} error={newErrors.credits} onChange={(e)=>setNewPf({...newPf,credits:Number(e.target.value)})} />
             <LabeledInput label="Unit" value={newPf.unit} onChange={(e)=>setNewPf({...newPf,unit:e.target.value})} />
             <LabeledInput label="Account" value={newPf.account} onChange={(e)=>setNewPf({...newPf,account:e.target.value})} />
-            <LabeledInput label="Monthly allowance" type="number" value={newPf.monthlyAllowance} onChange={(e)=>setNewPf({...newPf,monthlyAllowance:Number(e.target.value)})} />
+            <LabeledInput label="Monthly allowance" type="number" value={newPf.monthlyAllowance} error={newErrors.monthlyAllowance} onChange={(e)=>setNewPf({...newPf,monthlyAllowance:Number(e.target.value)})} />
             <div className="flex items-center gap-3">
               <label className="text-sm text-zinc-300 w-48">Color</label>
               <input type="color" value={newPf.color} onChange={(e)=>setNewPf({...newPf,color:e.target.value})} className="h-8 w-16 rounded" />
             </div>
             <div className="flex justify-end">
-              <button onClick={createAndSelect} className="rounded-xl bg-emerald-500 px-3 py-2 text-sm font-medium text-zinc-950 hover:bg-emerald-400">Create & select</button>
+              <button onClick={createAndSelect} className="rounded-xl bg-emerald-500 px-3 py-2 text-sm font-medium text-on-accent hover:bg-emerald-400">Create & select</button>
             </div>
           </div>
         )}
 
-        <LabeledInput label="Amount (negative = spend)" type="number" value={form.amount} onChange={(e)=>setForm({...form,amount:Number(e.target.value)})} />
+        <LabeledInput label="Amount (negative = spend)" type="number" value={form.amount} error={errors.amount} onChange={(e)=>setForm({...form,amount:Number(e.target.value)})} />
         <LabeledInput label="Project (optional)" value={form.project} onChange={(e)=>setForm({...form,project:e.target.value})} />
+        <LabeledInput label="Member (optional)" list="member-options" value={form.member} onChange={(e)=>setForm({...form,member:e.target.value})} />
+        <datalist id="member-options">{members.filter(m => m !== UNASSIGNED).map(m => <option key={m} value={m} />)}</datalist>
         <LabeledInput label="Note" value={form.note} onChange={(e)=>setForm({...form,note:e.target.value})} />
-        <LabeledInput label="Date" type="date" value={form.date} onChange={(e)=>setForm({...form,date:e.target.value})} />
+        <LabeledInput label="Date" type="date" value={form.date} error={errors.date} onChange={(e)=>setForm({...form,date:e.target.value})} />
+        <LabeledInput label="Time (optional)" type="time" value={form.time} error={errors.time} onChange={(e)=>setForm({...form,time:e.target.value})} />
         <div className="flex justify-end gap-2 pt-2">
           <button onClick={onClose} className="rounded-xl bg-zinc-800 px-3 py-2 text-sm hover:bg-zinc-700">Cancel</button>
-          <button onClick={()=>{ if (!form.platform) return alert("Select a platform (or create NEW)"); onCreate(form); }} className="rounded-xl bg-emerald-500 px-3 py-2 text-sm font-medium text-zinc-950 hover:bg-emerald-400">Add</button>
+          <button onClick={()=>setErrors(onSave(form))} className="rounded-xl bg-emerald-500 px-3 py-2 text-sm font-medium text-on-accent hover:bg-emerald-400">{initial ? "Save" : "Add"}</button>
         </div>
       </div>
     </Modal>
   );
 }
 
-function LabeledInput({ label, ...props }) {
+
+function AnalyticsView({ transactions, platforms }) {
+  const [preset, setPreset] = useState("30d");
+  const [custom, setCustom] = useState({ from: "", to: "" });
+  const range = resolveRange(preset, custom);
+
+  const stacked = useMemo(() => stackedByPlatform(transactions, range), [transactions, range.from, range.to]);
+  const byProject = useMemo(() => spendByProject(transactions, range), [transactions, range.from, range.to]);
+  const top = useMemo(() => topTransactions(transactions, range), [transactions, range.from, range.to]);
+  const total = useMemo(() => totalSpend(transactions, range), [transactions, range.from, range.to]);
+  const comparisons = useMemo(() => periodComparisons(transactions), [transactions]);
+
+  const pct = (c) => c.change === null ? "—" : `${c.change > 0 ? "+" : ""}${Math.round(c.change * 100)}%`;
+
+  return (
+    <section className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        {Object.entries(RANGE_PRESETS).map(([key, label]) => (
+          <button key={key} onClick={()=>setPreset(key)} className={classNames("rounded-xl px-3 py-1.5 text-sm", preset === key ? "bg-emerald-500 text-on-accent" : "bg-zinc-900 text-zinc-300 hover:bg-zinc-800")}>{label}</button>
+        ))}
+        {preset === "custom" && (
+          <div className="flex items-center gap-2 text-sm">
+            <input type="date" value={custom.from} onChange={(e)=>setCustom({...custom,from:e.target.value})} className="rounded-xl bg-zinc-800 px-3 py-1.5" />
+            <span className="text-zinc-500">to</span>
+            <input type="date" value={custom.to} onChange={(e)=>setCustom({...custom,to:e.target.value})} className="rounded-xl bg-zinc-800 px-3 py-1.5" />
+          </div>
+        )}
+        <span className="ml-auto text-xs text-zinc-500">{range.from} → {range.to}</span>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <KPI icon={<BarChart3 className="h-4 w-4" />} label="Spend in range" value={formatNumber(total)} sub="credits" />
+        <KPI icon={<BarChart3 className="h-4 w-4" />} label="Week over week" value={pct(comparisons.week)} sub={`${formatNumber(comparisons.week.current)} vs ${formatNumber(comparisons.week.previous)} (last 7 days vs prior 7)`} />
+        <KPI icon={<BarChart3 className="h-4 w-4" />} label="Month over month" value={pct(comparisons.month)} sub={`${formatNumber(comparisons.month.current)} vs ${formatNumber(comparisons.month.previous)} (month to date vs same days last month)`} />
+      </div>
+
+      <div className="rounded-2xl border border-zinc-800 bg-zinc-900 p-4">
+        <h3 className="mb-3 text-sm font-semibold text-zinc-300">Spend by platform {stacked.weekly ? "(weekly)" : "(daily)"}</h3>
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={stacked.data} margin={{ left: 0, right: 8, top: 8, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke={CHART.grid} />
+              <XAxis dataKey="date" stroke={CHART.axis} tick={{ fontSize: 12 }} />
+              <YAxis stroke={CHART.axis} tick={{ fontSize: 12 }} />
+              <Tooltip contentStyle={tooltipStyle} cursor={{ fill: CHART.grid }} />
+              <Legend wrapperStyle={{ fontSize: 12 }} />
+              {platforms.map(p => <Bar key={p.id} dataKey={platformLabel(p)} stackId="spend" fill={p.color} />)}
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="rounded-2xl border border-zinc-800 bg-zinc-900 p-4">
+          <h3 className="mb-3 text-sm font-semibold text-zinc-300">Spend by project</h3>
+          <div style={{ height: Math.max(160, byProject.length * 32) }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={byProject} layout="vertical" margin={{ left: 8, right: 8, top: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke={CHART.grid} />
+                <XAxis type="number" stroke={CHART.axis} tick={{ fontSize: 12 }} />
+                <YAxis type="category" dataKey="project" width={120} stroke={CHART.axis} tick={{ fontSize: 12 }} />
+                <Tooltip contentStyle={tooltipStyle} cursor={{ fill: CHART.grid }} />
+                <Bar dataKey="spend" fill="#22c55e" radius={[0, 6, 6, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        <div className="rounded-2xl border border-zinc-800 bg-zinc-900 p-4">
+          <h3 className="mb-3 text-sm font-semibold text-zinc-300">Top transactions</h3>
+          <ul className="space-y-2">
+            {top.map(t => (
+              <li key={t.id} className="flex items-center justify-between rounded-xl border border-zinc-800 bg-zinc-950 px-3 py-2 text-sm">
+                <span className="text-zinc-300">{platformLabel(t)} • {t.project || "—"}<span className="ml-2 text-xs text-zinc-500">{t.date} {t.member} {t.note}</span></span>
+                <span className="font-medium text-rose-400">{t.amount}</span>
+              </li>
+            ))}
+            {!top.length && <li className="text-sm text-zinc-500">No spend in this range.</li>}
+          </ul>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+function ProjectsView({ transactions, projects, colors, onSetBudget }) {
+  const rows = useMemo(() => projectSummaries(transactions, projects), [transactions, projects]);
+  const [newName, setNewName] = useState("");
+  const [newBudget, setNewBudget] = useState("");
+  const [errors, setErrors] = useState({});
+
+  function addBudget() {
+    const { value, errors: found } = checkBudget({ name: newName, budget: newBudget });
+    setErrors(found);
+    if (hasErrors(found)) return;
+    onSetBudget(value.name, value.budget);
+    setNewName(""); setNewBudget("");
+  }
+
+  return (
+    <section className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+        {rows.map(r => {
+          const pct = r.budget ? Math.min(100, (r.spent / r.budget) * 100) : 0;
+          const over = r.budget !== null && r.spent > r.budget;
+          return (
+            <div key={r.name || "__untagged__"} className={classNames("rounded-2xl border bg-zinc-900 p-4 space-y-3", over ? "border-rose-800" : "border-zinc-800")}>
+              <div className="flex items-center justify-between">
+                <div className="flex items-center gap-2 text-sm font-semibold"><FolderKanban className="h-4 w-4 text-zinc-400" />{r.name || "Untagged"}</div>
+                <div className="text-xs text-zinc-500">{r.count} entries{r.last ? ` • last ${r.last}` : ""}</div>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div className="rounded-xl border border-zinc-800 bg-zinc-950 p-3">
+                  <div className="text-xs text-zinc-400">Spent</div>
+                  <div className="text-xl font-semibold">{formatNumber(r.spent)}</div>
+                </div>
+                <div className="rounded-xl border border-zinc-800 bg-zinc-950 p-3">
+                  <div className="text-xs text-zinc-400">Remaining</div>
+                  <div className={classNames("text-xl font-semibold", over && "text-rose-400")}>{r.budget === null ? "—" : formatNumber(r.budget - r.spent)}</div>
+                </div>
+              </div>
+              {r.budget !== null && (
+                <div>
+                  <div className="h-2 overflow-hidden rounded-full bg-zinc-800">
+                    <div className={classNames("h-full rounded-full", over ? "bg-rose-500" : pct >= 80 ? "bg-amber-400" : "bg-emerald-500")} style={{ width: `${pct}%` }} />
+                  </div>
+                  <div className="mt-1 text-xs text-zinc-500">{Math.round((r.spent / r.budget) * 100)}% of {formatNumber(r.budget)} budget</div>
+                </div>
+              )}
+              {r.spent > 0 && (
+                <div className="flex h-2 overflow-hidden rounded-full bg-zinc-800" title="Spend by platform">
+                  {Object.entries(r.byPlatform).map(([name, amt]) => (
+                    <div key={name} style={{ width: `${(amt / r.spent) * 100}%`, background: colors[name] || "#64748b" }} title={`${name}: ${formatNumber(amt)}`} />
+                  ))}
+                </div>
+              )}
+              <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs text-zinc-400">
+                {Object.entries(r.byPlatform).map(([name, amt]) => (
+                  <span key={name} className="inline-flex items-center gap-1"><span className="h-2 w-2 rounded-full" style={{ background: colors[name] || "#64748b" }} />{name} {formatNumber(amt)}</span>
+                ))}
+              </div>
+              {r.name && (
+                <div className="flex items-center gap-2">
+                  <label className="text-xs text-zinc-400">Budget</label>
+                  <input key={r.budget ?? "none"} type="number" min={0} defaultValue={r.budget ?? ""} placeholder="none" onBlur={(e)=>Number(e.target.value || 0) !== (r.budget || 0) && onSetBudget(r.name, e.target.value)} className="w-28 rounded-xl bg-zinc-800 px-3 py-1 text-sm outline-none focus:bg-zinc-700" />
+                </div>
+              )}
+            </div>
+          );
+        })}
+        {!rows.length && <div className="text-sm text-zinc-500">No project spend yet. Tag transactions with a project when logging usage.</div>}
+      </div>
+
+      <div className="rounded-2xl border border-zinc-800 bg-zinc-900 p-4">
+        <div className="mb-2 text-sm font-semibold text-zinc-300">Budget a new project</div>
+        <div className="flex flex-wrap gap-2">
+          <input value={newName} onChange={(e)=>setNewName(e.target.value)} placeholder="Project name" aria-invalid={!!errors.name} className={classNames("flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm outline-none focus:bg-zinc-700", errors.name && "ring-1 ring-rose-500")} />
+          <input type="number" value={newBudget} onChange={(e)=>setNewBudget(e.target.value)} placeholder="Budget (credits)" aria-invalid={!!errors.budget} className={classNames("w-40 rounded-xl bg-zinc-800 px-3 py-2 text-sm outline-none focus:bg-zinc-700", errors.budget && "ring-1 ring-rose-500")} />
+          <button onClick={addBudget} className="rounded-xl bg-emerald-500 px-3 py-2 text-sm font-medium text-on-accent hover:bg-emerald-400">Set budget</button>
+        </div>
+        {Object.values(errors).map(e => <FieldError key={e}>{e}</FieldError>)}
+      </div>
+    </section>
+  );
+}
+
+function SchedulesView({ schedules, platforms, members, onSave, onToggle, onRemove }) {
+  const [editing, setEditing] = useState(null); // schedule, or {} for a new one
+  const next = useMemo(() => upcoming(schedules, 30), [schedules]);
+  const nextOf = (s) => next.find(o => o.schedule.id === s.id)?.date;
+  const total = next.reduce((a, o) => a + Number(o.schedule.amount), 0);
+
+  return (
+    <section className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+      <div className="lg:col-span-2 space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="text-sm font-semibold text-zinc-300">Recurring transactions</h3>
+          <button onClick={()=>setEditing({})} className="inline-flex items-center gap-2 rounded-xl bg-emerald-500 px-3 py-1.5 text-sm font-medium text-on-accent hover:bg-emerald-400"><Plus className="h-4 w-4" /> New schedule</button>
+        </div>
+        {schedules.map(s => (
+          <div key={s.id} className={classNames("flex items-center justify-between rounded-2xl border border-zinc-800 bg-zinc-900 px-4 py-3", s.paused && "opacity-60")}>
+            <div>
+              <div className="flex items-center gap-2 text-sm font-medium">
+                <CalendarClock className="h-4 w-4 text-zinc-400" />
+                {platformLabel(s)} • {s.note || s.project || "—"}
+                {s.paused && <span className="rounded-md bg-zinc-800 px-1.5 py-0.5 text-[10px] uppercase tracking-wide text-zinc-400">paused</span>}
+              </div>
+              <div className="text-xs text-zinc-500">
+                {describeCadence(s.cadence)} • from {s.start}{s.end ? ` to ${s.end}` : ""}{!s.paused && nextOf(s) ? ` • next ${nextOf(s)}` : ""}{s.member ? ` • ${s.member}` : ""}
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              <span className={classNames("text-sm font-medium", s.amount < 0 ? "text-rose-400" : "text-emerald-400")}>{s.amount}</span>
+              <button onClick={()=>onToggle(s.id)} className="rounded-xl bg-zinc-800 p-2 hover:bg-zinc-700" aria-label={s.paused ? "Resume" : "Pause"}>{s.paused ? <Play className="h-4 w-4"/> : <Pause className="h-4 w-4"/>}</button>
+              <button onClick={()=>setEditing(s)} className="rounded-xl bg-zinc-800 p-2 hover:bg-zinc-700" aria-label="Edit"><Edit2 className="h-4 w-4"/></button>
+              <button onClick={()=>onRemove(s.id)} className="rounded-xl bg-zinc-800 p-2 hover:bg-zinc-700" aria-label="Delete"><Trash2 className="h-4 w-4"/></button>
+            </div>
+          </div>
+        ))}
+        {!schedules.length && <div className="text-sm text-zinc-500">No schedules yet. Add one for subscription charges or regular batch renders.</div>}
+      </div>
+
+      <div className="rounded-2xl border border-zinc-800 bg-zinc-900 p-4">
+        <h3 className="mb-1 text-sm font-semibold text-zinc-300">Upcoming (30 days)</h3>
+        <div className="mb-3 text-xs text-zinc-500">{next.length} entries • net {formatNumber(total)} credits • included in the forecast</div>
+        <ul className="space-y-2 max-h-96 overflow-auto pr-1">
+          {next.map(o => (
+            <li key={`${o.schedule.id}-${o.date}`} className="flex items-center justify-between rounded-xl border border-zinc-800 bg-zinc-950 px-3 py-2 text-sm">
+              <span className="text-zinc-300">{platformLabel(o.schedule)}<span className="ml-2 text-xs text-zinc-500">{o.date} {o.schedule.note}</span></span>
+              <span className={classNames("font-medium", o.schedule.amount < 0 ? "text-rose-400" : "text-emerald-400")}>{o.schedule.amount}</span>
+            </li>
+          ))}
+          {!next.length && <li className="text-sm text-zinc-500">Nothing scheduled.</li>}
+        </ul>
+      </div>
+
+      {editing && (
+        <ScheduleModal
+          initial={editing}
+          platforms={platforms}
+          members={members}
+          onClose={()=>setEditing(null)}
+          onSave={(schedule)=>{ const errors = onSave(schedule); if (!hasErrors(errors)) setEditing(null); return errors; }}
+        />
+      )}
+    </section>
+  );
+}
+
+// Rendered as a sheet of paper; printing hides everything else, so the browser's "Save as PDF" gives the statement alone.
+function StatementsView({ state, projectNames, currency }) {
+  const months = useMemo(() => statementMonths(state.transactions), [state.transactions]);
+  const [month, setMonth] = useState(months[0]);
+  const [platformId, setPlatformId] = useState(null);
+  const [project, setProject] = useState(null);
+  const statement = useMemo(() => buildStatement(state, { month, platformId, project }), [state, month, platformId, project]);
+  const money = (cost) => cost.total || !cost.missing ? `${formatMoney(cost.total, currency)}${cost.missing ? ` (+${cost.missing} unpriced)` : ""}` : "—";
+  const credits = (n) => formatNumber(n);
+
+  function print() {
+    const title = document.title;
+    document.title = statementTitle(statement);
+    window.print();
+    document.title = title;
+  }
+
+  return (
+    <section className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm print:hidden">
+        <select value={month} onChange={(e)=>setMonth(e.target.value)} aria-label="Month" className="rounded-xl bg-zinc-800 px-3 py-2">
+          {months.map(m => <option key={m} value={m}>{monthLabel(m)}</option>)}
+        </select>
+        <select value={platformId ?? ""} onChange={(e)=>setPlatformId(e.target.value || null)} aria-label="Platform" className="rounded-xl bg-zinc-800 px-3 py-2">
+          <option value="">All platforms</option>
+          {state.platforms.map(p => <option key={p.id} value={p.id}>{platformLabel(p)}</option>)}
+        </select>
+        <select value={project === null ? "__all__" : project} onChange={(e)=>setProject(e.target.value === "__all__" ? null : e.target.value)} aria-label="Project" className="rounded-xl bg-zinc-800 px-3 py-2">
+          <option value="__all__">All projects</option>
+          <option value="">{NO_PROJECT}</option>
+          {projectNames.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <button onClick={print} className="ml-auto inline-flex items-center gap-2 rounded-xl bg-emerald-500 px-3 py-2 font-medium text-on-accent hover:bg-emerald-400">
+          <Printer className="h-4 w-4" /> Print / Save as PDF
+        </button>
+      </div>
+
+      <article className="paper mx-auto max-w-3xl space-y-6 rounded-2xl bg-white p-8 text-sm text-zinc-900 print:max-w-none print:rounded-none print:p-0">
+        <header className="flex items-start justify-between border-b border-zinc-200 pb-4">
+          <div>
+            <div className="flex items-center gap-2 text-lg font-semibold"><FileText className="h-5 w-5" />Statement – {monthLabel(statement.month)}</div>
+            <div className="text-zinc-500">
+              {statement.from} to {statement.to}
+              {statement.platformId !== null && statement.platforms[0] && ` • ${platformLabel(statement.platforms[0].platform)}`}
+              {statement.project !== null && ` • ${statement.project || NO_PROJECT}`}
+            </div>
+          </div>
+          <div className="text-right text-xs text-zinc-500">CreditRadar<br />generated {todayKey()}</div>
+        </header>
+
+        {statement.platforms.length === 0 && <p className="text-zinc-500">Nothing to report for this month.</p>}
+
+        {statement.platforms.map(r => (
+          <div key={r.platform.id} className="space-y-2 break-inside-avoid">
+            <div className="flex items-baseline justify-between">
+              <h2 className="font-semibold">{platformLabel(r.platform)}</h2>
+              <span className="text-xs text-zinc-500">{r.platform.unit || "credits"}</span>
+            </div>
+            {statement.project === null && (
+              <table className="w-full">
+                <tbody>
+                  {[["Opening balance", r.opening], ["Allowances", r.allowances], ["Top-ups", r.topUps], ["Adjustments", r.adjustments], ["Expired", r.expired], ["Spend", -r.spent]]
+                    .filter(([label, v]) => v || label === "Opening balance" || label === "Spend")
+                    .map(([label, v]) => (
+                      <tr key={label}><td className="py-0.5 text-zinc-600">{label}</td><td className="py-0.5 text-right tabular-nums">{credits(v)}</td></tr>
+                    ))}
+                  <tr className="border-t border-zinc-300 font-semibold"><td className="py-1">Closing balance</td><td className="py-1 text-right tabular-nums">{credits(r.closing)}</td></tr>
+                </tbody>
+              </table>
+            )}
+            {r.projects.map(g => (
+              <table key={g.name} className="w-full">
+                <thead>
+                  <tr className="border-b border-zinc-200 text-left text-xs text-zinc-500">
+                    <th className="py-1 font-medium" colSpan={3}>{g.name}</th>
+                    <th className="py-1 text-right font-medium">Credits</th>
+                    <th className="py-1 text-right font-medium">Cost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {g.entries.map(t => (
+                    <tr key={t.id} className="align-top">
+                      <td className="whitespace-nowrap py-0.5 pr-2 text-zinc-600">{t.date}{t.time ? ` ${t.time}` : ""}</td>
+                      <td className="py-0.5 pr-2">{t.note}</td>
+                      <td className="py-0.5 pr-2 text-zinc-600">{t.member}</td>
+                      <td className="py-0.5 text-right tabular-nums">{credits(Math.abs(t.amount))}</td>
+                      <td className="py-0.5 text-right tabular-nums">{formatMoney(t.cost, currency)}</td>
+                    </tr>
+                  ))}
+                  <tr className="font-medium">
+                    <td className="py-1" colSpan={3}>Subtotal</td>
+                    <td className="py-1 text-right tabular-nums">{credits(g.spent)}</td>
+                    <td className="py-1 text-right tabular-nums">{money(g.cost)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            ))}
+          </div>
+        ))}
+
+        {statement.platforms.length > 0 && (
+          <table className="w-full break-inside-avoid border-t-2 border-zinc-900">
+            <tbody>
+              {statement.project === null && <tr><td className="py-1">Opening balance, all platforms</td><td className="py-1 text-right tabular-nums">{credits(statement.totals.opening)}</td></tr>}
+              <tr><td className="py-1">Total spend</td><td className="py-1 text-right tabular-nums">{credits(statement.totals.spent)}</td></tr>
+              <tr className="font-semibold"><td className="py-1">Total cost</td><td className="py-1 text-right tabular-nums">{money(statement.totals.cost)}</td></tr>
+              {statement.project === null && <tr><td className="py-1">Closing balance, all platforms</td><td className="py-1 text-right tabular-nums">{credits(statement.totals.closing)}</td></tr>}
+            </tbody>
+          </table>
+        )}
+      </article>
+    </section>
+  );
+}
+
+function ScheduleModal({ initial, platforms, members, onSave, onClose }) {
+  const first = platforms[0];
+  const [form, setForm] = useState({
+    id: crypto.randomUUID(),
+    platformId: first?.id || "",
+    member: "",
+    amount: -10,
+    project: "",
+    note: "",
+    start: todayKey(),
+    end: "",
+    paused: false,
+    postedThrough: null,
+    ...initial,
+    cadence: { kind: "monthly", interval: 1, weekdays: [1], day: 1, expr: "0 9 * * 1", ...initial.cadence },
+  });
+  const [errors, setErrors] = useState({});
+  const setCadence = (patch) => setForm({ ...form, cadence: { ...form.cadence, ...patch } });
+  const toggleDay = (d) => setCadence({ weekdays: form.cadence.weekdays.includes(d) ? form.cadence.weekdays.filter(x => x !== d) : [...form.cadence.weekdays, d].sort() });
+
   return (
-    <div className="flex items-center gap-3">
-      <label className="text-sm text-zinc-300 w-48">{label}</label>
-      <input {...props} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm outline-none ring-0 focus:bg-zinc-700" />
+    <Modal title={initial.id ? "Edit schedule" : "New schedule"} onClose={onClose}>
+      <div className="space-y-3">
+        <div className="flex items-center gap-3">
+          <label className="text-sm text-zinc-300 w-48">Platform</label>
+          <select value={form.platformId} onChange={(e)=>setForm({ ...form, platformId: e.target.value })} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm">
+            {platforms.map(p => <option key={p.id} value={p.id}>{platformLabel(p)}</option>)}
+          </select>
+        </div>
+        {errors.platform && <FieldError indent>{errors.platform}</FieldError>}
+        <LabeledInput label="Amount (negative = spend)" type="number" value={form.amount} error={errors.amount} onChange={(e)=>setForm({...form,amount:Number(e.target.value)})} />
+        <LabeledInput label="Project (optional)" value={form.project} onChange={(e)=>setForm({...form,project:e.target.value})} />
+        <LabeledInput label="Member (optional)" list="schedule-member-options" value={form.member} onChange={(e)=>setForm({...form,member:e.target.value})} />
+        <datalist id="schedule-member-options">{members.filter(m => m !== UNASSIGNED).map(m => <option key={m} value={m} />)}</datalist>
+        <LabeledInput label="Note" value={form.note} onChange={(e)=>setForm({...form,note:e.target.value})} />
+        <div className="flex items-center gap-3">
+          <label className="text-sm text-zinc-300 w-48">Repeats</label>
+          <select value={form.cadence.kind} onChange={(e)=>setCadence({ kind: e.target.value })} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm">
+            {Object.entries(CADENCES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </div>
+        {form.cadence.kind === "daily" && (
+          <LabeledInput label="Every N days" type="number" min={1} value={form.cadence.interval} onChange={(e)=>setCadence({ interval: Number(e.target.value) })} />
+        )}
+        {form.cadence.kind === "weekly" && (
+          <div className="flex flex-wrap gap-1">
+            {WEEKDAYS.map((d, i) => (
+              <button key={d} onClick={()=>toggleDay(i)} className={classNames("rounded-lg px-2 py-1 text-xs", form.cadence.weekdays.includes(i) ? "bg-emerald-500 text-on-accent" : "bg-zinc-800 text-zinc-300 hover:bg-zinc-700")}>{d}</button>
+            ))}
+          </div>
+        )}
+        {form.cadence.kind === "monthly" && (
+          <LabeledInput label="Day of month" type="number" min={1} max={31} value={form.cadence.day} onChange={(e)=>setCadence({ day: Number(e.target.value) })} />
+        )}
+        {form.cadence.kind === "cron" && (
+          <LabeledInput label="Cron (min hour dom mon dow)" value={form.cadence.expr} onChange={(e)=>setCadence({ expr: e.target.value })} />
+        )}
+        {errors.cadence && <FieldError indent>{errors.cadence}</FieldError>}
+        <LabeledInput label="Starts" type="date" value={form.start} error={errors.start} onChange={(e)=>setForm({...form,start:e.target.value})} />
+        <LabeledInput label="Ends (optional)" type="date" value={form.end || ""} error={errors.end} onChange={(e)=>setForm({...form,end:e.target.value})} />
+        {!initial.id && form.start < todayKey() && <p className="text-xs text-amber-400">Occurrences since {form.start} will be posted when you save.</p>}
+        <div className="flex justify-end gap-2 pt-2">
+          <button onClick={onClose} className="rounded-xl bg-zinc-800 px-3 py-2 text-sm hover:bg-zinc-700">Cancel</button>
+          <button onClick={()=>setErrors(onSave(form))} className="rounded-xl bg-emerald-500 px-3 py-2 text-sm font-medium text-on-accent hover:bg-emerald-400">Save</button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+// `settings` belong to the ledger and are shared with the team; `device` only to this browser.
+function SettingsModal({ settings, device, server, serverStatus, onServerChange, onChange, onDeviceChange, onClose }) {
+  const { display, rates } = currencySettings(settings);
+  const prefs = preferences(settings);
+  const look = appearance(device);
+  const zones = useMemo(timeZoneOptions, []);
+  const [code, setCode] = useState("");
+  const [rate, setRate] = useState("");
+  const [rateErrors, setRateErrors] = useState({});
+
+  function addRate() {
+    const { value, errors } = checkRate({ code, rate });
+    setRateErrors(errors);
+    if (hasErrors(errors)) return;
+    onChange({ rates: { ...rates, [value.code]: value.rate } });
+    setCode(""); setRate("");
+  }
+
+  function removeRate(c) {
+    const { [c]: _, ...rest } = rates;
+    onChange(display === c ? { rates: rest, displayCurrency: "USD" } : { rates: rest });
+  }
+
+  return (
+    <Modal title="Settings" onClose={onClose}>
+      <div className="space-y-3">
+        <div className="flex items-center gap-3">
+          <label className="text-sm text-zinc-300 w-48">Forecast method</label>
+          <select value={settings.forecastMethod || "average"} onChange={(e)=>onChange({ forecastMethod: e.target.value })} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm">
+            {Object.entries(FORECAST_METHODS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </div>
+        <div className="flex items-center gap-3">
+          <label className="text-sm text-zinc-300 w-48">Forecast window</label>
+          <select value={prefs.forecastWindow} onChange={(e)=>onChange({ forecastWindow: Number(e.target.value) })} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm">
+            {FORECAST_WINDOWS.map(n => <option key={n} value={n}>Last {n} days of spend</option>)}
+          </select>
+        </div>
+        <div className="flex items-center gap-3">
+          <label className="text-sm text-zinc-300 w-48">Chart range</label>
+          <select value={prefs.chartDays} onChange={(e)=>onChange({ chartDays: Number(e.target.value) })} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm">
+            {CHART_RANGES.map(n => <option key={n} value={n}>{n} days</option>)}
+          </select>
+        </div>
+        <div className="flex items-center gap-3">
+          <label className="text-sm text-zinc-300 w-48">Theme</label>
+          <select value={look.theme} onChange={(e)=>onDeviceChange({ theme: e.target.value })} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm">
+            {Object.entries(THEMES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </div>
+        <div className="flex items-center gap-3">
+          <label className="text-sm text-zinc-300 w-48">Number format</label>
+          <select value={look.locale} onChange={(e)=>onDeviceChange({ locale: e.target.value || undefined })} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm">
+            {Object.entries(LOCALES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </div>
+        {/* Saved on blur so typing a name isn't one undo step per letter. */}
+        <LabeledInput key={`unit:${prefs.defaultUnit}`} label="Default unit" defaultValue={prefs.defaultUnit} onBlur={(e)=>e.target.value.trim() !== prefs.defaultUnit && onChange({ defaultUnit: e.target.value.trim() || undefined })} />
+        <LabeledInput key={`account:${prefs.defaultAccount}`} label="Default account" defaultValue={prefs.defaultAccount} onBlur={(e)=>e.target.value.trim() !== prefs.defaultAccount && onChange({ defaultAccount: e.target.value.trim() || undefined })} />
+        <div className="flex items-center gap-3">
+          <label className="text-sm text-zinc-300 w-48">Time zone</label>
+          <select value={device.timeZone || ""} onChange={(e)=>onDeviceChange({ timeZone: e.target.value || undefined })} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm">
+            <option value="">Browser ({systemTimeZone()})</option>
+            {zones.map(z => <option key={z} value={z}>{z}</option>)}
+          </select>
+        </div>
+        <div className="flex items-center gap-3">
+          <label className="text-sm text-zinc-300 w-48">Week starts on</label>
+          <select value={dateSettings(device).weekStart} onChange={(e)=>onDeviceChange({ weekStart: Number(e.target.value) })} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm">
+            {Object.entries(WEEK_STARTS).map(([day, label]) => <option key={day} value={day}>{label}</option>)}
+          </select>
+        </div>
+        <p className="text-xs text-zinc-500">Theme, number format, time zone and week start apply to this device only.</p>
+        <div className="flex items-center gap-3">
+          <label className="text-sm text-zinc-300 w-48">Display currency</label>
+          <select value={display} onChange={(e)=>onChange({ displayCurrency: e.target.value })} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm">
+            {Object.keys(rates).map(c => <option key={c}>{c}</option>)}
+          </select>
+        </div>
+        <div>
+          <div className="mb-1 text-xs text-zinc-500">Exchange rates (value of 1 unit in USD)</div>
+          <ul className="space-y-1">
+            {Object.entries(rates).map(([c, r]) => (
+              <li key={c} className="flex items-center gap-2">
+                <span className="w-12 text-sm">{c}</span>
+                <input key={r} type="number" step="0.0001" defaultValue={r} disabled={c === "USD"} onBlur={(e)=>Number(e.target.value) > 0 && Number(e.target.value) !== r && onChange({ rates: { ...rates, [c]: Number(e.target.value) } })} className="flex-1 rounded-xl bg-zinc-800 px-3 py-1 text-sm outline-none focus:bg-zinc-700 disabled:opacity-50" />
+                {c !== "USD" && <button onClick={()=>removeRate(c)} className="rounded-lg p-1 text-zinc-400 hover:bg-zinc-800" aria-label={`Remove ${c}`}><Trash2 className="h-3.5 w-3.5"/></button>}
+              </li>
+            ))}
+          </ul>
+          <div className="mt-2 flex gap-2">
+            <input value={code} onChange={(e)=>setCode(e.target.value)} placeholder="JPY" maxLength={3} aria-invalid={!!rateErrors.code} className={classNames("w-20 rounded-xl bg-zinc-800 px-3 py-1 text-sm uppercase outline-none focus:bg-zinc-700", rateErrors.code && "ring-1 ring-rose-500")} />
+            <input type="number" step="0.0001" value={rate} onChange={(e)=>setRate(e.target.value)} placeholder="0.0067" aria-invalid={!!rateErrors.rate} className={classNames("flex-1 rounded-xl bg-zinc-800 px-3 py-1 text-sm outline-none focus:bg-zinc-700", rateErrors.rate && "ring-1 ring-rose-500")} />
+            <button onClick={addRate} className="rounded-xl bg-zinc-800 px-3 py-1 text-sm hover:bg-zinc-700">Add</button>
+          </div>
+          {Object.values(rateErrors).map(e => <FieldError key={e}>{e}</FieldError>)}
+        </div>
+        <p className="text-xs text-zinc-500">Set each platform's plan price from its edit dialog.</p>
+        <PresetFields
+          presets={platformPresets(settings)}
+          edited={Array.isArray(settings.presets)}
+          defaultUnit={prefs.defaultUnit}
+          onChange={(presets)=>onChange({ presets })}
+          onReset={()=>onChange({ presets: undefined })}
+        />
+        <TeamServerFields server={server} status={serverStatus} onChange={onServerChange} />
+      </div>
+    </Modal>
+  );
+}
+
+// Built-in presets keep their sync adapter when recolored; removing the last one leaves an empty list, not the built-ins.
+function PresetFields({ presets, edited, defaultUnit, onChange, onReset }) {
+  const blank = { key: "", color: "#64748b", unit: "", monthlyAllowance: 0 };
+  const [form, setForm] = useState(blank);
+  const [errors, setErrors] = useState({});
+
+  function add() {
+    const { value, errors: found } = checkPreset(form, presets);
+    setErrors(found);
+    if (hasErrors(found)) return;
+    onChange([...presets, { key: value.key, color: value.color, unit: value.unit, monthlyAllowance: value.monthlyAllowance }]);
+    setForm(blank);
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-xs text-zinc-500">
+        <span>Platform presets (offered by Add platform)</span>
+        {edited && <button onClick={onReset} className="rounded-lg px-2 py-0.5 hover:bg-zinc-800">Reset to built-in</button>}
+      </div>
+      {presets.map((p, i) => (
+        <div key={p.key} className="flex items-center gap-2 rounded-xl bg-zinc-950 px-3 py-1.5 text-sm">
+          <input type="color" value={p.color} onChange={(e)=>onChange(presets.map((x, j) => j === i ? { ...x, color: e.target.value } : x))} aria-label={`${p.key} color`} className="h-6 w-8 rounded" />
+          <span className="flex-1">{p.key}</span>
+          <span className="text-xs text-zinc-500">{p.unit || defaultUnit}{Number(p.monthlyAllowance) > 0 && <> • +{formatNumber(p.monthlyAllowance)}/mo</>}</span>
+          <button onClick={()=>onChange(presets.filter((_, j) => j !== i))} className="rounded-lg p-1 hover:bg-zinc-800" aria-label={`Remove preset ${p.key}`}><Trash2 className="h-3.5 w-3.5"/></button>
+        </div>
+      ))}
+      <div className="flex gap-2">
+        <input type="color" value={form.color} onChange={(e)=>setForm({ ...form, color: e.target.value })} aria-label="Preset color" className="h-9 w-10 rounded" />
+        <input value={form.key} onChange={(e)=>setForm({ ...form, key: e.target.value })} placeholder="Preset name" aria-label="Preset name" aria-invalid={!!errors.key} className={classNames("min-w-0 flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm outline-none focus:bg-zinc-700", errors.key && "ring-1 ring-rose-500")} />
+        <input value={form.unit} onChange={(e)=>setForm({ ...form, unit: e.target.value })} placeholder={defaultUnit} aria-label="Preset unit" className="w-24 rounded-xl bg-zinc-800 px-3 py-2 text-sm outline-none focus:bg-zinc-700" />
+        <input type="number" min={0} value={form.monthlyAllowance} onChange={(e)=>setForm({ ...form, monthlyAllowance: e.target.value })} aria-label="Preset monthly allowance" title="Monthly allowance" aria-invalid={!!errors.monthlyAllowance} className={classNames("w-24 rounded-xl bg-zinc-800 px-3 py-2 text-sm outline-none focus:bg-zinc-700", errors.monthlyAllowance && "ring-1 ring-rose-500")} />
+        <button onClick={add} className="rounded-xl bg-zinc-800 px-3 py-2 text-sm hover:bg-zinc-700">Add</button>
+      </div>
+      {Object.values(errors).map(e => <FieldError key={e}>{e}</FieldError>)}
+    </div>
+  );
+}
+
+function TeamServerFields({ server, status, onChange }) {
+  const [form, setForm] = useState({ url: server?.url || "", token: server?.token || "" });
+  const [errors, setErrors] = useState({});
+
+  function connect() {
+    const { value, errors: found } = checkServer(form);
+    setErrors(found);
+    if (!hasErrors(found)) onChange(value);
+  }
+  const label = !status ? "" : status.state === "online" ? `synced ${new Date(status.lastSync).toLocaleTimeString()}` : status.state === "syncing" ? "syncing…" : status.state === "standby" ? "synced by another open tab" : `${status.state}${status.error ? `: ${status.error}` : ""}`;
+  return (
+    <div className="space-y-2 border-t border-zinc-800 pt-3">
+      <div className="flex items-center justify-between text-xs">
+        <span className="text-zinc-500">Team server (shared ledger)</span>
+        {server && <span className={classNames(status?.state === "online" ? "text-emerald-400" : status?.state === "syncing" || status?.state === "standby" ? "text-zinc-400" : "text-amber-400")}>{label}</span>}
+      </div>
+      <LabeledInput label="Server URL" placeholder="http://localhost:8787" value={form.url} error={errors.url} disabled={!!server} onChange={(e)=>setForm({...form,url:e.target.value})} />
+      <LabeledInput label="Token (optional)" type="password" value={form.token} disabled={!!server} onChange={(e)=>setForm({...form,token:e.target.value})} />
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-xs text-zinc-500">Joining a server that already has data replaces this browser's ledger with the team's – take a backup first.</p>
+        {server
+          ? <button onClick={()=>onChange(null)} className="shrink-0 rounded-xl bg-zinc-800 px-3 py-1 text-sm hover:bg-zinc-700">Disconnect</button>
+          : <button onClick={connect} className="shrink-0 rounded-xl bg-emerald-500 px-3 py-1 text-sm font-medium text-on-accent hover:bg-emerald-400">Connect</button>}
+      </div>
+    </div>
+  );
+}
+
+function AlertCenter({ alerts, notifications, onToggleNotifications, reminder, reminderDue, onReminderChange, onLogUsage, onEditPlatform, onClose }) {
+  return (
+    <Modal title="Alerts" onClose={onClose}>
+      <ul className="space-y-2 max-h-72 overflow-auto pr-1">
+        {reminderDue && (
+          <li className="flex items-start justify-between gap-3 rounded-xl border border-emerald-700/50 bg-emerald-950/30 px-3 py-2">
+            <div>
+              <div className="text-sm font-medium">Nothing logged today</div>
+              <div className="text-xs text-emerald-200/80">Your daily reminder is set for {reminder.time}.</div>
+            </div>
+            <button onClick={onLogUsage} className="shrink-0 rounded-lg bg-zinc-800 px-2 py-1 text-xs hover:bg-zinc-700">Log usage</button>
+          </li>
+        )}
+        {alerts.map(a => (
+          <li key={`${a.platformId}:${a.kind}`} className="flex items-start justify-between gap-3 rounded-xl border border-amber-700/50 bg-amber-950/30 px-3 py-2">
+            <div>
+              <div className="flex items-center gap-2 text-sm font-medium"><span className="h-2.5 w-2.5 rounded-full" style={{ background: a.color }} />{a.platform}</div>
+              <div className="text-xs text-amber-200/80">{a.message}</div>
+            </div>
+            <button onClick={()=>onEditPlatform(a.platformId)} className="shrink-0 rounded-lg p-1 text-zinc-400 hover:bg-zinc-800" aria-label="Edit thresholds"><Edit2 className="h-3.5 w-3.5"/></button>
+          </li>
+        ))}
+        {!alerts.length && !reminderDue && <li className="text-sm text-zinc-500">No alerts. Set thresholds from a platform's edit dialog.</li>}
+      </ul>
+      {notificationsSupported() && (
+        <label className="mt-3 flex items-center gap-2 text-sm text-zinc-300">
+          <input type="checkbox" checked={notifications} onChange={(e)=>onToggleNotifications(e.target.checked)} />
+          Browser notifications when a threshold is crossed
+        </label>
+      )}
+      {notifications && notificationsSupported() && Notification.permission === "denied" && (
+        <div className="mt-1 text-xs text-rose-400">Notifications are blocked for this site in your browser settings.</div>
+      )}
+      <div className="mt-2 flex items-center gap-2 text-sm text-zinc-300">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={reminder.enabled} onChange={(e)=>onReminderChange({ enabled: e.target.checked })} />
+          Daily reminder to log usage, after
+        </label>
+        <input type="time" value={reminder.time} onChange={(e)=>e.target.value && onReminderChange({ time: e.target.value })} aria-label="Reminder time" className="rounded-lg bg-zinc-800 px-2 py-0.5 text-sm" />
+      </div>
+    </Modal>
+  );
+}
+
+// Opened from a link, the same page without the fragment is the viewer's own ledger; a standalone file has none.
+function ownLedgerHref() {
+  return window.location.hash ? `${window.location.pathname}${window.location.search}` : null;
+}
+
+// The dashboard as it was on `takenOn`: same cards and charts, nothing that edits, stores or syncs.
+function SnapshotDashboard({ snapshot }) {
+  const { state, takenOn } = snapshot;
+  const [query, setQuery] = useState(EMPTY_QUERY);
+  const method = state.settings?.forecastMethod || "average";
+  const prefs = preferences(state.settings);
+  const currency = currencySettings(state.settings);
+  const summary = useMemo(() => dashboardSummary(state, takenOn), [state, takenOn]);
+  const forecast = useMemo(() => forecastBalance({
+    balance: summary.total,
+    transactions: state.transactions,
+    platforms: state.platforms,
+    schedules: state.schedules,
+    method,
+    window: prefs.forecastWindow,
+    today: takenOn,
+  }), [summary, state, method, prefs.forecastWindow, takenOn]);
+  const platformMap = useMemo(() => Object.fromEntries(state.platforms.map(p => [p.id, p])), [state.platforms]);
+  const moneyOf = (t) => entryCost(t, platformMap, state.settings);
+  const chartData = useMemo(() => dailySpendBuckets(state.transactions, { days: prefs.chartDays, today: takenOn, costOf: moneyOf }), [state, prefs.chartDays, takenOn]);
+  const accounts = useMemo(() => [...new Set(state.platforms.map(accountOf))].sort(), [state.platforms]);
+  const members = useMemo(() => [...new Set(state.transactions.map(memberOf))].sort(), [state.transactions]);
+  const ownLedger = ownLedgerHref();
+
+  return (
+    <div className="min-h-screen bg-zinc-950 text-zinc-100">
+      <header className="border-b border-zinc-800 bg-zinc-950/80">
+        <div className="mx-auto max-w-7xl px-4 py-3 flex items-center gap-3">
+          <div className="flex items-center gap-2">
+            <Wallet2 className="h-6 w-6 text-emerald-400" />
+            <h1 className="text-lg font-semibold tracking-tight">CreditRadar</h1>
+          </div>
+          <span className="inline-flex items-center gap-1.5 rounded-xl bg-zinc-800 px-2.5 py-1 text-xs text-zinc-300">
+            <Eye className="h-3.5 w-3.5" /> Read-only snapshot taken {takenOn}
+          </span>
+          {ownLedger && <a href={ownLedger} className="ml-auto text-sm text-zinc-400 hover:text-zinc-200">Open your own ledger</a>}
+        </div>
+      </header>
+
+      <main className="mx-auto max-w-7xl px-4 py-6 space-y-6">
+        <KpiRow platformCount={state.platforms.length} total={summary.total} value={summary.value} burn={summary.burn} burnValue={summary.burnValue} burnDays={summary.burnDays} forecast={forecast} currency={currency.display} />
+
+        <section className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+          {state.platforms.map((p) => (
+            <PlatformCard
+              key={p.id}
+              platform={p}
+              balance={summary.balances[p.id] || 0}
+              value={creditsToMoney(summary.balances[p.id] || 0, p, state.settings)}
+              currency={currency.display}
+              transactions={state.transactions.filter(t => belongsTo(t, p))}
+              schedules={(state.schedules || []).filter(x => belongsTo(x, p))}
+              method={method}
+              forecastWindow={prefs.forecastWindow}
+              chartDays={prefs.chartDays}
+              today={takenOn}
+            />
+          ))}
+        </section>
+
+        <section className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <SpendChart data={chartData} currency={currency.display} />
+          <TransactionPanel
+            transactions={state.transactions}
+            platforms={state.platforms}
+            accounts={accounts}
+            members={members}
+            query={query}
+            onQuery={setQuery}
+            overBudget={new Set()}
+            moneyOf={moneyOf}
+            currency={currency.display}
+          />
+        </section>
+      </main>
+    </div>
+  );
+}
+
+function SnapshotError({ message }) {
+  return (
+    <div className="min-h-screen bg-zinc-950 text-zinc-100 flex items-center justify-center p-4">
+      <div className="w-full max-w-lg rounded-2xl border border-rose-900 bg-zinc-900 p-6 space-y-4">
+        <div className="flex items-center gap-2 text-rose-300">
+          <AlertTriangle className="h-5 w-5" />
+          <h1 className="text-lg font-semibold">This snapshot could not be opened</h1>
+        </div>
+        <p className="text-sm text-zinc-400">{message} Ask whoever shared it for a new one.</p>
+        {ownLedgerHref() && <a href={ownLedgerHref()} className="block rounded-xl bg-zinc-800 px-3 py-2 text-center text-sm hover:bg-zinc-700">Open your own ledger</a>}
+      </div>
+    </div>
+  );
+}
+
+const SHARE_WINDOWS = [["30", "Last 30 days"], ["90", "Last 90 days"], ["365", "Last year"], ["", "Whole history"]];
+
+function ShareModal({ state, onClose }) {
+  const [ids, setIds] = useState(() => state.platforms.map(p => p.id));
+  const [days, setDays] = useState("90");
+  const [redact, setRedact] = useState(false);
+  const [link, setLink] = useState("");
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState("");
+
+  // Any change makes a link already shown stale.
+  const change = (fn) => (...args) => { fn(...args); setLink(""); setError(""); };
+  const toggle = change((id) => setIds(list => list.includes(id) ? list.filter(x => x !== id) : [...list, id]));
+  const token = () => encodeSnapshot(makeSnapshot(state, { platformIds: ids, days: Number(days) || null, redactNotes: redact }));
+
+  async function copyLink() {
+    try {
+      const url = snapshotUrl(await token());
+      setLink(url);
+      setCopied(navigator.clipboard ? await navigator.clipboard.writeText(url).then(() => true, () => false) : false);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  // The dev server serves the app as many separate modules, which can't be inlined into one file.
+  async function downloadHtml() {
+    if (import.meta.env.DEV) return setError("Standalone files can only be made from a production build (npm run build).");
+    try {
+      downloadFile(`creditradar_snapshot_${todayKey()}.html`, await standaloneHtml(await token()), "text/html");
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <Modal title="Share a read-only snapshot" onClose={onClose}>
+      <div className="space-y-3 text-sm">
+        <p className="text-xs text-zinc-500">Whoever opens it sees balances, forecasts and entries as of today, with no way to change your ledger. Sync settings and quick-log templates are never included.</p>
+        <div className="rounded-xl border border-zinc-800 bg-zinc-950 p-3 space-y-1">
+          {state.platforms.map(p => (
+            <label key={p.id} className="flex items-center gap-2">
+              <input type="checkbox" checked={ids.includes(p.id)} onChange={()=>toggle(p.id)} />
+              <span className="h-2.5 w-2.5 rounded-full" style={{ background: p.color }} />
+              {platformLabel(p)}
+            </label>
+          ))}
+          {!state.platforms.length && <div className="text-zinc-500">No platforms to share.</div>}
+        </div>
+        <label className="flex items-center justify-between gap-2">
+          <span className="text-zinc-400">Entries</span>
+          <select value={days} onChange={(e)=>change(setDays)(e.target.value)} aria-label="Entries" className="rounded-xl bg-zinc-800 px-3 py-1">
+            {SHARE_WINDOWS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </label>
+        <p className="text-xs text-zinc-500">Older entries are summed into one opening balance per platform, so balances stay exact and the link stays short.</p>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={redact} onChange={(e)=>change(setRedact)(e.target.checked)} />
+          Redact notes
+        </label>
+        {link && (
+          <div className="space-y-1">
+            <input readOnly value={link} onFocus={(e)=>e.target.select()} aria-label="Snapshot link" className="w-full rounded-xl bg-zinc-800 px-3 py-1.5 text-xs text-zinc-300" />
+            <div className="text-xs text-zinc-500">{copied ? "Copied to the clipboard" : "Copy the link above"} • {formatNumber(link.length)} characters</div>
+          </div>
+        )}
+        {error && <FieldError>{error}</FieldError>}
+        <div className="flex justify-end gap-2 pt-1">
+          <button onClick={downloadHtml} disabled={!ids.length} className="inline-flex items-center gap-2 rounded-xl bg-zinc-800 px-3 py-2 hover:bg-zinc-700 disabled:opacity-40">
+            <Download className="h-4 w-4" /> Download HTML
+          </button>
+          <button onClick={copyLink} disabled={!ids.length} className="inline-flex items-center gap-2 rounded-xl bg-emerald-500 px-3 py-2 font-medium text-on-accent hover:bg-emerald-400 disabled:opacity-40">
+            <Share2 className="h-4 w-4" /> Copy link
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+// Restore replaces the whole ledger (ids and colors included); it stays undoable from the header.
+function BackupModal({ onExport, onRestore, onClose }) {
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState("");
+
+  async function readFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      setPending(parseBackup(await file.text()));
+      setError("");
+    } catch (err) {
+      setPending(null);
+      setError(err.message);
+    }
+  }
+
+  return (
+    <Modal title="Backup & restore" onClose={onClose}>
+      <div className="space-y-3">
+        <button onClick={onExport} className="flex w-full items-center justify-between rounded-xl border border-zinc-800 bg-zinc-950 px-3 py-2 text-sm hover:bg-zinc-800">
+          <span>Download full backup (.json)</span>
+          <Download className="h-4 w-4 text-zinc-400" />
+        </button>
+        <div className="rounded-xl border border-zinc-800 bg-zinc-950 p-3 space-y-2">
+          <div className="text-sm">Restore from backup</div>
+          <input type="file" accept=".json,application/json" onChange={readFile} className="block w-full text-sm text-zinc-300 file:mr-3 file:rounded-xl file:border-0 file:bg-zinc-800 file:px-3 file:py-2 file:text-sm file:text-zinc-100 hover:file:bg-zinc-700" />
+          {error && <div className="text-xs text-rose-400">{error}</div>}
+          {pending && (
+            <div className="flex items-center justify-between gap-2 text-xs text-zinc-400">
+              <span>{pending.platforms.length} platforms, {pending.transactions.length} transactions. This replaces the current ledger.</span>
+              <button onClick={()=>onRestore(pending)} className="shrink-0 rounded-xl bg-emerald-500 px-3 py-2 text-sm font-medium text-on-accent hover:bg-emerald-400">Restore</button>
+            </div>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+function RecoveryScreen({ error, raw, onRecover }) {
+  const [restoreError, setRestoreError] = useState("");
+
+  async function readFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      onRecover(parseBackup(await file.text()));
+    } catch (err) {
+      setRestoreError(err.message);
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-zinc-950 text-zinc-100 flex items-center justify-center p-4">
+      <div className="w-full max-w-lg rounded-2xl border border-rose-900 bg-zinc-900 p-6 space-y-4">
+        <div className="flex items-center gap-2 text-rose-300">
+          <AlertTriangle className="h-5 w-5" />
+          <h1 className="text-lg font-semibold">Saved data could not be loaded</h1>
+        </div>
+        <p className="text-sm text-zinc-400">CreditRadar found data in this browser but could not read it. Nothing has been changed yet – download a copy before choosing how to continue.</p>
+        <pre className="max-h-24 overflow-auto rounded-xl bg-zinc-950 p-3 text-xs text-rose-300 whitespace-pre-wrap">{error}</pre>
+        <div className="space-y-2">
+          {raw && (
+            <button onClick={()=>downloadFile(`creditradar_unreadable_${todayKey()}.json`, raw, "application/json")} className="flex w-full items-center justify-between rounded-xl bg-zinc-800 px-3 py-2 text-sm hover:bg-zinc-700">
+              <span>Download the unreadable data</span><Download className="h-4 w-4" />
+            </button>
+          )}
+          <label className="block rounded-xl bg-zinc-800 px-3 py-2 text-sm hover:bg-zinc-700 cursor-pointer">
+            Restore from a backup file…
+            <input type="file" accept=".json,application/json" onChange={readFile} className="hidden" />
+          </label>
+          {restoreError && <div className="text-xs text-rose-400">{restoreError}</div>}
+          <div className="flex gap-2 pt-2">
+            <button onClick={()=>onRecover(emptyState)} className="flex-1 rounded-xl border border-rose-800 bg-rose-950 px-3 py-2 text-sm text-rose-300 hover:bg-rose-900/40">Start with an empty ledger</button>
+            <button onClick={()=>onRecover(initialState)} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm hover:bg-zinc-700">Load demo data</button>
+          </div>
+          <p className="text-xs text-zinc-500">Either choice keeps a copy of the unreadable data in this browser's storage.</p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ImportModal({ platforms, transactions, onImport, onClose }) {
+  const [text, setText] = useState("");
+  const [source, setSource] = useState(null); // { kind: "export", data } | { kind: "generic", headers, rows }
+  const [mapping, setMapping] = useState({});
+  const [opts, setOpts] = useState({ platform: platforms[0]?.name || "", account: accountOf(platforms[0]), negate: false, dateFormat: "auto" });
+  const [skipDupes, setSkipDupes] = useState(true);
+  const [error, setError] = useState("");
+
+  function load(raw) {
+    setError("");
+    const own = parseCreditRadarExport(raw);
+    if (own) return setSource({ kind: "export", data: own });
+    const rows = parseCSV(raw);
+    if (rows.length < 2) return setError("No rows found in that file.");
+    setSource({ kind: "generic", headers: rows[0], rows: rows.slice(1) });
+    setMapping(guessMapping(rows[0]));
+  }
+
+  async function loadFile(e) {
+    const file = e.target.files?.[0];
+    if (file) load(await file.text());
+  }
+
+  const preview = useMemo(() => {
+    if (!source) return [];
+    const rows = source.kind === "export" ? source.data.transactions : mapRows(source.rows, mapping, opts);
+    return markDuplicates(rows, transactions);
+  }, [source, mapping, opts, transactions]);
+
+  const accepted = preview.filter(t => !t.error && !(skipDupes && t.duplicate));
+  const dupes = preview.filter(t => t.duplicate).length;
+  const invalid = preview.filter(t => t.error).length;
+
+  function submit() {
+    if (!accepted.length) return setError("Nothing to import.");
+    onImport({
+      platforms: source.kind === "export" ? source.data.platforms : [],
+      transactions: accepted.map(({ duplicate, error, ...t }) => t),
+    });
+  }
+
+  return (
+    <Modal title="Import transactions" onClose={onClose} wide>
+      {!source ? (
+        <div className="space-y-3">
+          <p className="text-xs text-zinc-500">Accepts a CreditRadar CSV export, or any CSV (e.g. a Runway/Suno usage download) which you map to columns next.</p>
+          <input type="file" accept=".csv,text/csv" onChange={loadFile} className="block w-full text-sm text-zinc-300 file:mr-3 file:rounded-xl file:border-0 file:bg-zinc-800 file:px-3 file:py-2 file:text-sm file:text-zinc-100 hover:file:bg-zinc-700" />
+          <textarea value={text} onChange={(e)=>setText(e.target.value)} rows={6} placeholder="…or paste CSV here" className="w-full rounded-xl bg-zinc-800 px-3 py-2 font-mono text-xs outline-none focus:bg-zinc-700" />
+          {error && <FieldError>{error}</FieldError>}
+          <div className="text-right">
+            <button onClick={()=>load(text)} disabled={!text.trim()} className="rounded-xl bg-emerald-500 px-3 py-2 text-sm font-medium text-on-accent hover:bg-emerald-400 disabled:opacity-40">Read pasted CSV</button>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {source.kind === "export" ? (
+            <div className="text-xs text-zinc-400">CreditRadar export detected – {source.data.platforms.length} platforms, {source.data.transactions.length} transactions.</div>
+          ) : (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {IMPORT_FIELDS.map(f => (
+                <div key={f} className="flex items-center gap-3">
+                  <label className="text-sm text-zinc-300 w-24 capitalize">{f}</label>
+                  <select value={mapping[f] ?? -1} onChange={(e)=>setMapping({...mapping,[f]:Number(e.target.value)})} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm">
+                    <option value={-1}>— none —</option>
+                    {source.headers.map((h, i) => <option key={i} value={i}>{h || `Column ${i + 1}`}</option>)}
+                  </select>
+                </div>
+              ))}
+              {mapping.platform === -1 && (
+                <div className="flex items-center gap-3">
+                  <label className="text-sm text-zinc-300 w-24">All rows to</label>
+                  <select value={platformKey(opts)} onChange={(e)=>{ const p = platforms.find(x => platformKey(x) === e.target.value); setOpts({...opts,platform:p.name,account:accountOf(p)}); }} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm">
+                    {platforms.map(p => <option key={p.id} value={platformKey(p)}>{platformLabel(p)}</option>)}
+                  </select>
+                </div>
+              )}
+              <div className="flex items-center gap-3">
+                <label className="text-sm text-zinc-300 w-24">Date format</label>
+                <select value={opts.dateFormat} onChange={(e)=>setOpts({...opts,dateFormat:e.target.value})} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm">
+                  {DATE_FORMATS.map(f => <option key={f}>{f}</option>)}
+                </select>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-zinc-300 sm:col-span-2">
+                <input type="checkbox" checked={opts.negate} onChange={(e)=>setOpts({...opts,negate:e.target.checked})} />
+                Amounts are credits used (positive numbers count as spend)
+              </label>
+            </div>
+          )}
+
+          <div className="max-h-64 overflow-auto rounded-xl border border-zinc-800">
+            <table className="w-full text-xs">
+              <thead className="sticky top-0 bg-zinc-900 text-zinc-400">
+                <tr><th className="px-2 py-1 text-left">Date</th><th className="px-2 py-1 text-left">Platform</th><th className="px-2 py-1 text-right">Amount</th><th className="px-2 py-1 text-left">Project</th><th className="px-2 py-1 text-left">Note</th><th className="px-2 py-1 text-left">Status</th></tr>
+              </thead>
+              <tbody>
+                {preview.slice(0, 200).map((t, i) => (
+                  <tr key={i} className={classNames("border-t border-zinc-800", (t.error || (skipDupes && t.duplicate)) && "text-zinc-600")}>
+                    <td className="px-2 py-1">{t.date || "—"}</td>
+                    <td className="px-2 py-1">{t.platform ? platformLabel(t) : "—"}</td>
+                    <td className="px-2 py-1 text-right">{Number.isFinite(t.amount) ? t.amount : "—"}</td>
+                    <td className="px-2 py-1">{t.project}</td>
+                    <td className="px-2 py-1">{t.note}</td>
+                    <td className={classNames("px-2 py-1", t.error ? "text-rose-400" : t.duplicate ? "text-amber-400" : "text-emerald-400")}>{t.error || (t.duplicate ? "duplicate" : "new")}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex items-center justify-between text-xs text-zinc-400">
+            <span>{accepted.length} to import • {dupes} duplicates • {invalid} invalid{preview.length > 200 ? ` • showing first 200 of ${preview.length}` : ""}</span>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={skipDupes} onChange={(e)=>setSkipDupes(e.target.checked)} /> Skip duplicates
+            </label>
+          </div>
+          {error && <FieldError>{error}</FieldError>}
+          <div className="flex justify-end gap-2">
+            <button onClick={()=>{ setSource(null); setError(""); }} className="rounded-xl bg-zinc-800 px-3 py-2 text-sm hover:bg-zinc-700">Back</button>
+            <button onClick={submit} className="rounded-xl bg-emerald-500 px-3 py-2 text-sm font-medium text-on-accent hover:bg-emerald-400">Import {accepted.length}</button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+// Without `onEdit` the list is read-only: no edit/delete buttons and no "Add transaction".
+function TransactionPanel({ transactions, platforms, accounts, members, query, onQuery, overBudget, moneyOf, currency, onEdit, onRemove, onAdd }) {
+  const [showFilters, setShowFilters] = useState(false);
+  const [page, setPage] = useState(0);
+  const results = useMemo(() => queryTransactions(transactions, query), [transactions, query]);
+  const projects = useMemo(() => [...new Set(transactions.map(t => (t.project || "").trim()).filter(Boolean))].sort(), [transactions]);
+  const shown = paginate(results, page);
+  const filters = activeFilterCount(query);
+  const set = (patch) => { onQuery({ ...query, ...patch }); setPage(0); };
+
+  return (
+    <div className="rounded-2xl border border-zinc-800 bg-zinc-900 p-4">
+      <div className="mb-3 flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-zinc-300">Transactions</h3>
+        <select value={query.platform} onChange={(e)=>set({ platform: e.target.value })} className="rounded-xl bg-zinc-800 px-3 py-1 text-sm">
+          <option value={ALL}>All platforms</option>
+          {platforms.map(p => <option key={p.id} value={p.id}>{platformLabel(p)}</option>)}
+        </select>
+      </div>
+      <div className="mb-3 flex gap-2">
+        <input value={query.text} onChange={(e)=>set({ text: e.target.value })} placeholder="Search project, note, member…" className="min-w-0 flex-1 rounded-xl bg-zinc-800 px-3 py-1 text-sm outline-none focus:bg-zinc-700" />
+        <button onClick={()=>setShowFilters(!showFilters)} className={classNames("rounded-xl px-3 py-1 text-sm", showFilters || filters ? "bg-zinc-700" : "bg-zinc-800 hover:bg-zinc-700")}>Filters{filters ? ` (${filters})` : ""}</button>
+      </div>
+      {showFilters && (
+        <div className="mb-3 grid grid-cols-2 gap-2 text-sm">
+          <select value={query.account} onChange={(e)=>set({ account: e.target.value })} className="rounded-xl bg-zinc-800 px-2 py-1">
+            <option value={ALL}>All accounts</option>
+            {accounts.map(a => <option key={a}>{a}</option>)}
+          </select>
+          <select value={query.member} onChange={(e)=>set({ member: e.target.value })} className="rounded-xl bg-zinc-800 px-2 py-1">
+            <option value={ALL}>All members</option>
+            {members.map(m => <option key={m}>{m}</option>)}
+          </select>
+          <input list="project-options" value={query.project} onChange={(e)=>set({ project: e.target.value })} placeholder="Project" className="rounded-xl bg-zinc-800 px-2 py-1 outline-none focus:bg-zinc-700" />
+          <datalist id="project-options">{projects.map(p => <option key={p} value={p} />)}</datalist>
+          <select value={query.sign} onChange={(e)=>set({ sign: e.target.value })} className="rounded-xl bg-zinc-800 px-2 py-1">
+            <option value={ALL}>Spend & top-ups</option>
+            <option value="spend">Spend only</option>
+            <option value="topup">Top-ups only</option>
+          </select>
+          <input type="date" value={query.from} onChange={(e)=>set({ from: e.target.value })} aria-label="From date" className="rounded-xl bg-zinc-800 px-2 py-1" />
+          <input type="date" value={query.to} onChange={(e)=>set({ to: e.target.value })} aria-label="To date" className="rounded-xl bg-zinc-800 px-2 py-1" />
+          <input type="number" min={0} value={query.min} onChange={(e)=>set({ min: e.target.value })} placeholder="Min amount" className="rounded-xl bg-zinc-800 px-2 py-1 outline-none focus:bg-zinc-700" />
+          <input type="number" min={0} value={query.max} onChange={(e)=>set({ max: e.target.value })} placeholder="Max amount" className="rounded-xl bg-zinc-800 px-2 py-1 outline-none focus:bg-zinc-700" />
+          <select value={query.sort} onChange={(e)=>set({ sort: e.target.value })} className="rounded-xl bg-zinc-800 px-2 py-1">
+            {Object.entries(SORTS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          <button onClick={()=>set({ ...EMPTY_QUERY, text: query.text })} className="rounded-xl bg-zinc-800 px-2 py-1 text-zinc-400 hover:bg-zinc-700">Clear filters</button>
+        </div>
+      )}
+      <ul className="space-y-2 max-h-96 overflow-auto pr-1">
+        {shown.rows.map(t => (
+          <li key={t.id} className="group rounded-xl border border-zinc-800 bg-zinc-950 px-3 py-2">
+            <div className="flex items-center justify-between text-sm">
+              <span className="text-zinc-300">
+                {platformLabel(t)} • {t.project || "—"}
+                {txnType(t) !== "usage" && <span className="ml-2 rounded-md bg-zinc-800 px-1.5 py-0.5 text-[10px] uppercase tracking-wide text-zinc-400">{txnType(t)}</span>}
+                {overBudget.has(t.id) && <span className="ml-2 rounded-md bg-rose-950 px-1.5 py-0.5 text-[10px] uppercase tracking-wide text-rose-300">over budget</span>}
+                {t.scheduleId && <span className="ml-2 rounded-md bg-zinc-800 px-1.5 py-0.5 text-[10px] uppercase tracking-wide text-zinc-400">scheduled</span>}
+              </span>
+              <span className={classNames("font-medium", t.amount < 0 ? "text-rose-400" : "text-emerald-400")}>
+                {t.amount}
+                {isSpend(t) && moneyOf(t) !== null && <span className="ml-1 text-xs font-normal text-zinc-500">≈ {formatMoney(moneyOf(t), currency)}</span>}
+              </span>
+            </div>
+            <div className="flex items-center justify-between text-xs text-zinc-500">
+              <span>{t.date}{t.time ? ` ${t.time}` : ""}{t.member ? ` • ${t.member}` : ""} • {t.note || ""}</span>
+              {onEdit && (
+                <span className="flex gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100">
+                  <button onClick={()=>onEdit(t.id)} className="rounded-lg p-1 hover:bg-zinc-800" aria-label="Edit transaction"><Edit2 className="h-3.5 w-3.5"/></button>
+                  <button onClick={()=>onRemove(t.id)} className="rounded-lg p-1 hover:bg-zinc-800 hover:text-rose-400" aria-label="Delete transaction"><Trash2 className="h-3.5 w-3.5"/></button>
+                </span>
+              )}
+            </div>
+          </li>
+        ))}
+        {!shown.rows.length && (
+          <li className="text-sm text-zinc-500">{transactions.length ? "No transactions match." : "No transactions yet."}</li>
+        )}
+      </ul>
+      {results.length > 0 && (
+        <div className="mt-2 flex items-center justify-between text-xs text-zinc-500">
+          <span>{shown.page * PAGE_SIZE + 1}–{shown.page * PAGE_SIZE + shown.rows.length} of {formatNumber(results.length)}</span>
+          {shown.pages > 1 && (
+            <span className="flex gap-1">
+              <button onClick={()=>setPage(shown.page - 1)} disabled={shown.page === 0} className="rounded-lg bg-zinc-800 px-2 py-0.5 hover:bg-zinc-700 disabled:opacity-40">Prev</button>
+              <span className="px-1 py-0.5">{shown.page + 1}/{shown.pages}</span>
+              <button onClick={()=>setPage(shown.page + 1)} disabled={shown.page >= shown.pages - 1} className="rounded-lg bg-zinc-800 px-2 py-0.5 hover:bg-zinc-700 disabled:opacity-40">Next</button>
+            </span>
+          )}
+        </div>
+      )}
+      {onAdd && <button onClick={onAdd} className="mt-3 w-full rounded-xl bg-zinc-800 py-2 text-sm hover:bg-zinc-700">Add transaction</button>}
+    </div>
+  );
+}
+
+function SpendGroups({ groups, groupBy, onGroupBy, onPick }) {
+  const max = groups[0]?.spend || 0;
+  return (
+    <section className="rounded-2xl border border-zinc-800 bg-zinc-900 p-4">
+      <div className="mb-3 flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-zinc-300">Spend by {groupBy} (30d)</h3>
+        <div className="flex gap-1 text-xs">
+          {[["member", "Member"], ["account", "Account"]].map(([key, label]) => (
+            <button key={key} onClick={()=>onGroupBy(key)} className={classNames("rounded-lg px-2 py-1", groupBy === key ? "bg-zinc-800 text-zinc-100" : "text-zinc-500 hover:bg-zinc-800")}>{label}</button>
+          ))}
+        </div>
+      </div>
+      <ul className="space-y-2">
+        {groups.map(g => (
+          <li key={g.key}>
+            <button onClick={()=>onPick(g.key)} className="w-full text-left" title="Filter transactions">
+              <div className="flex items-center justify-between text-sm">
+                <span className="text-zinc-300">{g.key}</span>
+                <span className="text-zinc-400">{formatNumber(g.spend)}</span>
+              </div>
+              <div className="mt-1 h-1.5 overflow-hidden rounded-full bg-zinc-800">
+                <div className="h-full rounded-full bg-emerald-500" style={{ width: `${max ? (g.spend / max) * 100 : 0}%` }} />
+              </div>
+            </button>
+          </li>
+        ))}
+        {!groups.length && <li className="text-sm text-zinc-500">No spend in the last 30 days.</li>}
+      </ul>
+    </section>
+  );
+}
+
+function SyncFields({ sync, onChange }) {
+  const set = (patch) => onChange({ ...sync, ...patch });
+  const setConfig = (patch) => set({ config: { ...sync.config, ...patch } });
+  return (
+    <>
+      <label className="flex items-center gap-2 pt-1 text-xs text-zinc-500">
+        <input type="checkbox" checked={!!sync.enabled} onChange={(e)=>set({ enabled: e.target.checked })} /> Sync from provider
+      </label>
+      {sync.enabled && (
+        <>
+          <div className="flex items-center gap-3">
+            <label className="text-sm text-zinc-300 w-48">Adapter</label>
+            <select value={sync.adapter} onChange={(e)=>set({ adapter: e.target.value, cursor: null })} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm">
+              {Object.values(ADAPTERS).map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+            </select>
+          </div>
+          {sync.adapter === "mock" && (
+            <LabeledInput label="Simulated usage / day" type="number" value={sync.config?.dailyUsage ?? 20} onChange={(e)=>setConfig({ dailyUsage: Number(e.target.value) })} />
+          )}
+          {sync.adapter === "json" && (
+            <textarea value={sync.config?.json || ""} onChange={(e)=>setConfig({ json: e.target.value })} rows={4} placeholder='{ "balance": 820, "usage": [{ "id": "u1", "date": "2025-11-10", "amount": -20, "note": "Gen-3" }] }' className="w-full rounded-xl bg-zinc-800 px-3 py-2 font-mono text-xs outline-none focus:bg-zinc-700" />
+          )}
+        </>
+      )}
+    </>
+  );
+}
+
+// "$X for N credits" from the plan; leave either at 0 to keep the platform unpriced.
+function PricingFields({ form, setForm, currencies = [], errors = {} }) {
+  const unit = unitPrice(form);
+  return (
+    <>
+      <div className="flex items-center gap-3">
+        <label className="text-sm text-zinc-300 w-48">Plan price</label>
+        <input type="number" min={0} step="0.01" value={form.planPrice} onChange={(e)=>setForm({...form,planPrice:Number(e.target.value)})} className="w-20 rounded-xl bg-zinc-800 px-3 py-2 text-sm outline-none focus:bg-zinc-700" />
+        <select value={form.currency} onChange={(e)=>setForm({...form,currency:e.target.value})} className="rounded-xl bg-zinc-800 px-2 py-2 text-sm">
+          {[...new Set([...currencies, form.currency])].map(c => <option key={c}>{c}</option>)}
+        </select>
+        <span className="text-xs text-zinc-500">for</span>
+        <input type="number" min={0} value={form.planCredits} onChange={(e)=>setForm({...form,planCredits:Number(e.target.value)})} className="w-20 flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm outline-none focus:bg-zinc-700" />
+      </div>
+      {unit !== null && <div className="pl-48 text-xs text-zinc-500">= {formatMoney(unit, form.currency)} per {form.unit || "credit"}</div>}
+      {(errors.planPrice || errors.planCredits) && <FieldError indent>{errors.planPrice || errors.planCredits}</FieldError>}
+    </>
+  );
+}
+
+// Only shown once an allowance is set; see renewals.js for how the policies behave.
+function RenewalFields({ form, setForm, errors = {} }) {
+  if (!(Number(form.monthlyAllowance) > 0)) return null;
+  return (
+    <>
+      <LabeledInput label="Renews on day" type="number" min={1} max={31} value={form.renewalDay} error={errors.renewalDay} onChange={(e)=>setForm({...form,renewalDay:Number(e.target.value)})} />
+      <div className="flex items-center gap-3">
+        <label className="text-sm text-zinc-300 w-48">Unused allowance</label>
+        <select value={form.rollover} onChange={(e)=>setForm({...form,rollover:e.target.value})} className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm">
+          {ROLLOVER_POLICIES.map(r => <option key={r} value={r}>{{ keep: "Rolls over", expire: "Expires at renewal", cap: "Rolls over up to a cap" }[r]}</option>)}
+        </select>
+      </div>
+      {form.rollover === "cap" && (
+        <LabeledInput label="Rollover cap" type="number" value={form.rolloverCap} error={errors.rolloverCap} onChange={(e)=>setForm({...form,rolloverCap:Number(e.target.value)})} />
+      )}
+    </>
+  );
+}
+
+function TemplateFields({ templates, onChange }) {
+  const [line, setLine] = useState("");
+  const [project, setProject] = useState("");
+  const [error, setError] = useState("");
+
+  function add() {
+    try {
+      const { name, amount } = parseTemplate(line);
+      onChange([...templates, { id: crypto.randomUUID(), name, amount, project: project.trim(), note: "" }]);
+      setLine("");
+      setProject("");
+      setError("");
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="pt-1 text-xs text-zinc-500">Quick-log templates (one click on the card, or Ctrl/Cmd+K)</div>
+      {templates.map(t => (
+        <div key={t.id} className="flex items-center justify-between rounded-xl bg-zinc-950 px-3 py-1.5 text-sm">
+          <span>{formatTemplate(t)}{t.project && <span className="ml-2 text-xs text-zinc-500">{t.project}</span>}</span>
+          <button onClick={()=>onChange(templates.filter(x => x.id !== t.id))} className="rounded-lg p-1 hover:bg-zinc-800" aria-label="Remove template"><Trash2 className="h-3.5 w-3.5"/></button>
+        </div>
+      ))}
+      <div className="flex gap-2">
+        <input value={line} onChange={(e)=>setLine(e.target.value)} onKeyDown={(e)=>e.key === "Enter" && add()} placeholder="Gen-3 10s shot = -20" className="flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm outline-none focus:bg-zinc-700" />
+        <input value={project} onChange={(e)=>setProject(e.target.value)} placeholder="Project (optional)" className="w-36 rounded-xl bg-zinc-800 px-3 py-2 text-sm outline-none focus:bg-zinc-700" />
+        <button onClick={add} className="rounded-xl bg-zinc-800 px-3 py-2 text-sm hover:bg-zinc-700">Add</button>
+      </div>
+      {error && <FieldError>{error}</FieldError>}
+    </div>
+  );
+}
+
+// Typing a one-line entry ("suno -40 NeonShore EP 2 songs") offers to open the transaction form filled in.
+function CommandPalette({ commands, platforms, projectNames, onQuickEntry, onClose }) {
+  const [text, setText] = useState("");
+  const [active, setActive] = useState(0);
+  const entry = useMemo(() => parseQuickEntry(text, platforms, projectNames), [text, platforms, projectNames]);
+  const items = useMemo(() => {
+    const quick = entry?.platform ? [{ id: "quick-entry", group: "Log", label: describeQuickEntry(entry), run: () => onQuickEntry(entry) }] : [];
+    return [...quick, ...matchCommands(commands, text)];
+  }, [entry, commands, text, onQuickEntry]);
+  const current = Math.min(active, Math.max(0, items.length - 1));
+
+  function run(item) {
+    if (!item) return;
+    onClose();
+    item.run();
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown") { e.preventDefault(); setActive((current + 1) % Math.max(1, items.length)); }
+    else if (e.key === "ArrowUp") { e.preventDefault(); setActive((current - 1 + items.length) % Math.max(1, items.length)); }
+    else if (e.key === "Enter") { e.preventDefault(); run(items[current]); }
+    else if (e.key === "Escape") onClose();
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center bg-black/60 p-4 pt-[15vh]" onClick={onClose}>
+      <div className="w-full max-w-lg overflow-hidden rounded-2xl border border-zinc-800 bg-zinc-900" onClick={(e)=>e.stopPropagation()}>
+        <input
+          autoFocus
+          value={text}
+          onChange={(e)=>{ setText(e.target.value); setActive(0); }}
+          onKeyDown={onKeyDown}
+          placeholder='Type a command, or an entry like "suno -40 NeonShore EP 2 songs"'
+          className="w-full border-b border-zinc-800 bg-transparent px-4 py-3 text-sm outline-none"
+        />
+        {entry?.error && <div className="px-4 pt-2 text-xs text-amber-400">{entry.error}</div>}
+        <ul className="max-h-80 overflow-auto p-2">
+          {items.map((item, i) => (
+            <li key={item.id}>
+              <button onMouseEnter={()=>setActive(i)} onClick={()=>run(item)} className={classNames("flex w-full items-center gap-2 rounded-xl px-3 py-2 text-left text-sm", i === current ? "bg-zinc-800" : "hover:bg-zinc-800/60")}>
+                <span className="w-14 text-xs text-zinc-500">{item.group}</span>
+                <span className="flex-1 truncate">{item.label}</span>
+              </button>
+            </li>
+          ))}
+          {!items.length && <li className="px-3 py-2 text-sm text-zinc-500">No matching commands.</li>}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+// `indent` lines the message up with the inputs of LabeledInput rows.
+function FieldError({ children, indent = false }) {
+  return <p role="alert" className={classNames("text-xs text-rose-400", indent && "pl-[12.75rem]")}>{children}</p>;
+}
+
+function LabeledInput({ label, error, ...props }) {
+  const id = useId();
+  return (
+    <div>
+      <div className="flex items-center gap-3">
+        <label htmlFor={id} className="text-sm text-zinc-300 w-48">{label}</label>
+        <input id={id} {...props} aria-invalid={!!error} className={classNames("flex-1 rounded-xl bg-zinc-800 px-3 py-2 text-sm outline-none focus:bg-zinc-700", error ? "ring-1 ring-rose-500" : "ring-0")} />
+      </div>
+      {error && <div className="mt-1"><FieldError indent>{error}</FieldError></div>}
     </div>
   );
 }
@@ -0,0 +1,274 @@
+import { describe, expect, it, vi } from "vitest";
+import { act, fireEvent, render, screen, within } from "@testing-library/react";
+import App from "./App.jsx";
+import { makeEntry } from "./ledger.js";
+import { addDays, todayKey } from "./dates.js";
+import { SCHEMA_VERSION, STORAGE_KEY, serializeBackup } from "./storage.js";
+import { encodeSnapshot, makeSnapshot } from "./snapshot.js";
+
+const runway = { id: "p1", name: "Runway", account: "main", unit: "credits", monthlyAllowance: 0, color: "#3b82f6" };
+const pika = { id: "p2", name: "Pika", account: "main", unit: "credits", monthlyAllowance: 0, color: "#f59e0b" };
+
+function seed(extra) {
+  const today = todayKey();
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({
+    version: SCHEMA_VERSION,
+    platforms: [runway, pika],
+    transactions: [
+      makeEntry("opening", runway, 1000, { date: "2020-01-01" }),
+      makeEntry("opening", pika, 200, { date: "2020-01-01" }),
+      makeEntry("usage", runway, -300, { date: today, note: "Gen-3 shots" }),
+    ],
+    ...extra,
+  }));
+}
+
+async function renderApp(extra) {
+  seed(extra);
+  render(<App />);
+  return screen.findByText("Total credits");
+}
+
+const kpi = (label) => screen.getByText(label).parentElement.nextElementSibling.textContent;
+const modal = (title) => within(screen.getByText(title).parentElement);
+
+describe("dashboard", () => {
+  it("shows totals and burn from the stored ledger", async () => {
+    await renderApp();
+    expect(kpi("Total credits")).toBe("900");
+    expect(kpi("Daily burn (30d)")).toBe("10");
+    expect(kpi("Platforms")).toBe("2");
+  });
+});
+
+describe("storage", () => {
+  it("doesn't save the ledger back just for opening it", async () => {
+    seed();
+    const stored = JSON.stringify(JSON.parse(localStorage.getItem(STORAGE_KEY)), null, 1);
+    localStorage.setItem(STORAGE_KEY, stored);
+    render(<App />);
+    await screen.findByText("Total credits");
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(localStorage.getItem(STORAGE_KEY)).toBe(stored);
+  });
+});
+
+describe("transaction modal", () => {
+  it("logs spend against the picked platform", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByText("Add transaction"));
+    const form = modal("Add Transaction");
+    fireEvent.change(form.getByDisplayValue("Runway"), { target: { value: "p2" } });
+    fireEvent.change(form.getByLabelText("Amount (negative = spend)"), { target: { value: "-50" } });
+    fireEvent.click(form.getByText("Add"));
+    expect(screen.queryByText("Add Transaction")).toBeNull();
+    expect(kpi("Total credits")).toBe("850");
+  });
+
+  it("keeps the form open with an inline error for a zero amount", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByText("Add transaction"));
+    const form = modal("Add Transaction");
+    fireEvent.change(form.getByLabelText("Amount (negative = spend)"), { target: { value: "0" } });
+    fireEvent.click(form.getByText("Add"));
+    expect(form.getByText(/Amount must be a number other than 0/)).toBeTruthy();
+    expect(kpi("Total credits")).toBe("900");
+  });
+});
+
+describe("platform modals", () => {
+  it("refuses to create a platform without a name", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: /Add Platform/i }));
+    fireEvent.click(screen.getByText("NEW (custom)"));
+    const form = modal("Create NEW Platform");
+    fireEvent.click(form.getByText("Create"));
+    expect(form.getByText("Name is required.")).toBeTruthy();
+    expect(kpi("Platforms")).toBe("2");
+  });
+
+  it("creates a custom platform with its starting balance", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: /Add Platform/i }));
+    fireEvent.click(screen.getByText("NEW (custom)"));
+    const form = modal("Create NEW Platform");
+    fireEvent.change(form.getByLabelText(/^Name/), { target: { value: "Hailuo" } });
+    fireEvent.change(form.getByLabelText("Starting balance"), { target: { value: "100" } });
+    fireEvent.click(form.getByText("Create"));
+    expect(kpi("Platforms")).toBe("3");
+    expect(kpi("Total credits")).toBe("1,000");
+  });
+
+  it("explains why a preset can't be added again, dots in the name included", async () => {
+    const dotted = { ...pika, id: "p3", name: "Runway v2.5" };
+    await renderApp({ platforms: [runway, pika, dotted], settings: { presets: [{ key: "Runway v2.5", color: "#3b82f6" }] } });
+    fireEvent.click(screen.getByRole("button", { name: /Add Platform/i }));
+    fireEvent.click(modal("Add Platform").getByText("Runway v2.5"));
+    expect(screen.getByRole("alert").textContent).toBe("Runway v2.5 already exists. Add another account of it via NEW (custom).");
+  });
+
+  it("shows a clash inline when renaming onto another platform", async () => {
+    await renderApp();
+    fireEvent.click(screen.getAllByLabelText("Edit")[1]);
+    const form = modal("Edit Pika");
+    fireEvent.change(form.getByLabelText("Name"), { target: { value: "runway" } });
+    fireEvent.click(form.getByText("Save"));
+    expect(form.getByText(/^Runway already exists/)).toBeTruthy();
+  });
+});
+
+describe("statements", () => {
+  it("prints the current month for one platform under a matching title", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByRole("button", { name: "Statements" }));
+    fireEvent.change(screen.getByLabelText("Platform"), { target: { value: "p1" } });
+    expect(screen.getByText("Gen-3 shots")).toBeTruthy();
+    expect(screen.getByText("Closing balance").nextElementSibling.textContent).toBe("700");
+
+    let title;
+    const print = vi.spyOn(window, "print").mockImplementation(() => { title = document.title; });
+    fireEvent.click(screen.getByText(/Save as PDF/));
+    expect(print).toHaveBeenCalled();
+    expect(title).toBe(`CreditRadar statement ${todayKey().slice(0, 7)} Runway`);
+    print.mockRestore();
+  });
+});
+
+describe("daily reminder", () => {
+  it("shows in the alert center until usage is logged", async () => {
+    localStorage.setItem(`${STORAGE_KEY}.device`, JSON.stringify({ reminder: { enabled: true, time: "00:00" } }));
+    await renderApp({ transactions: [makeEntry("opening", runway, 1000, { date: "2020-01-01" })] });
+    expect(screen.getByLabelText("Alerts").textContent).toBe("1");
+    fireEvent.click(screen.getByLabelText("Alerts"));
+    fireEvent.click(screen.getByText("Log usage", { selector: "li button" }));
+    fireEvent.click(modal("Add Transaction").getByText("Add"));
+    fireEvent.click(screen.getByLabelText("Alerts"));
+    expect(screen.queryByText("Nothing logged today")).toBeNull();
+    expect(screen.getByLabelText("Daily reminder to log usage, after").checked).toBe(true);
+  });
+
+  it("comes due at its time while the app stays open", async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    vi.setSystemTime(new Date("2026-03-02T17:59:30Z"));
+    try {
+      localStorage.setItem(`${STORAGE_KEY}.device`, JSON.stringify({ timeZone: "UTC", reminder: { enabled: true, time: "18:00" } }));
+      await renderApp({ transactions: [makeEntry("opening", runway, 1000, { date: "2020-01-01" })] });
+      expect(screen.getByLabelText("Alerts").textContent).toBe("");
+      await act(() => vi.advanceTimersByTimeAsync(30 * 1000));
+      expect(screen.getByLabelText("Alerts").textContent).toBe("1");
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("is switched on for this device only", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByLabelText("Alerts"));
+    fireEvent.click(screen.getByLabelText("Daily reminder to log usage, after"));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(JSON.parse(localStorage.getItem(`${STORAGE_KEY}.device`)).reminder).toEqual({ enabled: true, time: "18:00" });
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY)).settings).toBeUndefined();
+  });
+});
+
+describe("schedules", () => {
+  const daily = { id: "s1", platformId: "p1", platform: "Runway", account: "main", amount: -10, cadence: { kind: "daily", interval: 1 }, start: "2026-03-01", paused: false, postedThrough: "2026-03-02" };
+
+  it("posts the new day's entries when the app stays open past midnight", async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    vi.setSystemTime(new Date("2026-03-02T23:59:30Z"));
+    try {
+      localStorage.setItem(`${STORAGE_KEY}.device`, JSON.stringify({ timeZone: "UTC" }));
+      await renderApp({ schedules: [daily] });
+      fireEvent.click(screen.getByText("Add transaction"));
+      fireEvent.change(modal("Add Transaction").getByLabelText("Amount (negative = spend)"), { target: { value: "-50" } });
+      fireEvent.click(modal("Add Transaction").getByText("Add"));
+      expect(kpi("Total credits")).toBe("850");
+      await act(() => vi.advanceTimersByTimeAsync(30 * 1000));
+      expect(kpi("Total credits")).toBe("840");
+      // Undo takes back the edit, not the posted entry.
+      fireEvent.click(screen.getByLabelText("Undo"));
+      expect(kpi("Total credits")).toBe("890");
+      expect(screen.getByLabelText("Undo").disabled).toBe(true);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("posts what a restored backup has due", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByText("Backup"));
+    const backup = { platforms: [runway], transactions: [makeEntry("opening", runway, 1000, { date: "2020-01-01" })], schedules: [{ ...daily, postedThrough: addDays(todayKey(), -2) }] };
+    fireEvent.change(document.querySelector('input[type="file"]'), { target: { files: [{ text: async () => serializeBackup(backup) }] } }); // jsdom's File has no text()
+    fireEvent.click(await screen.findByText("Restore"));
+    expect(kpi("Total credits")).toBe("980");
+  });
+});
+
+describe("snapshots", () => {
+  it("opens a shared link read-only without touching the viewer's ledger", async () => {
+    const shared = { platforms: [runway], transactions: [makeEntry("opening", runway, 1000, { date: "2020-01-01" }), makeEntry("usage", runway, -300, { date: todayKey(), note: "Gen-3 shots" })] };
+    window.location.hash = `#snapshot=${await encodeSnapshot(makeSnapshot(shared, { platformIds: ["p1"], redactNotes: true }))}`;
+    render(<App />);
+    await screen.findByText(/Read-only snapshot taken/);
+    expect(kpi("Total credits")).toBe("700");
+    expect(screen.queryByLabelText("Edit")).toBeNull();
+    expect(screen.queryByText("Log usage")).toBeNull();
+    expect(screen.queryByText("Add transaction")).toBeNull();
+    expect(screen.queryByText(/Gen-3 shots/)).toBeNull();
+    expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+    window.location.hash = "";
+  });
+
+  it("explains a damaged link", async () => {
+    window.location.hash = "#snapshot=1.broken";
+    render(<App />);
+    expect(await screen.findByText("This snapshot could not be opened")).toBeTruthy();
+    window.location.hash = "";
+  });
+});
+
+describe("settings", () => {
+  it("keeps the time zone on this device, out of the shared ledger and undo history", async () => {
+    await renderApp({ settings: { timeZone: "Europe/Berlin" } });
+    fireEvent.click(screen.getByLabelText("Settings"));
+    expect(screen.getByDisplayValue("Europe/Berlin")).toBeTruthy();
+    fireEvent.change(screen.getByDisplayValue("Europe/Berlin"), { target: { value: "Asia/Tokyo" } });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(JSON.parse(localStorage.getItem(`${STORAGE_KEY}.device`))).toEqual({ timeZone: "Asia/Tokyo" });
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY)).settings).toEqual({});
+    expect(screen.getByLabelText("Undo").disabled).toBe(true);
+  });
+
+  it("switches between the dark and light theme on this device only", async () => {
+    await renderApp();
+    fireEvent.click(screen.getByLabelText("Settings"));
+    fireEvent.change(screen.getByDisplayValue("Dark"), { target: { value: "light" } });
+    expect(document.documentElement.classList.contains("light")).toBe(true);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(JSON.parse(localStorage.getItem(`${STORAGE_KEY}.device`))).toEqual({ theme: "light" });
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY)).settings).toBeUndefined();
+    fireEvent.change(screen.getByDisplayValue("Light"), { target: { value: "dark" } });
+    expect(document.documentElement.classList.contains("light")).toBe(false);
+  });
+
+  it("offers a custom preset in Add platform with its unit and allowance", async () => {
+    await renderApp({ settings: { chartDays: 7 } });
+    expect(screen.getByText("7‑day spend")).toBeTruthy();
+    fireEvent.click(screen.getByLabelText("Settings"));
+    const settings = modal("Settings");
+    fireEvent.change(settings.getByLabelText("Preset name"), { target: { value: "Kling" } });
+    fireEvent.change(settings.getByLabelText("Preset unit"), { target: { value: "secs" } });
+    fireEvent.change(settings.getByLabelText("Preset monthly allowance"), { target: { value: "660" } });
+    fireEvent.click(within(settings.getByLabelText("Preset name").parentElement).getByText("Add"));
+    fireEvent.click(settings.getByLabelText("Remove preset Suno"));
+    fireEvent.click(settings.getByText("Close"));
+
+    fireEvent.click(screen.getByRole("button", { name: /Add Platform/i }));
+    expect(screen.queryByText("Suno")).toBeNull();
+    fireEvent.click(screen.getByText("Kling"));
+    expect(kpi("Platforms")).toBe("3");
+    expect(screen.getByText(/secs • acct: main/)).toBeTruthy();
+    expect(screen.getByText(/\+660\/mo on day 1/)).toBeTruthy();
+  });
+});
@@ -0,0 +1,69 @@
+import { balancesByPlatform, belongsTo, platformLabel } from "./ledger.js";
+import { daysUntilDepletion, forecastBalance } from "./forecast.js";
+import { STORAGE_KEY } from "./storage.js";
+import { formatNumber } from "./preferences.js";
+
+/**
+ * Low-balance / depletion alerts
+ *
+ * Each platform may carry `alerts: { minBalance, minPercent, minDays }`; any
+ * of them left empty (null) is off. `minPercent` is measured against the
+ * monthly allowance and `minDays` against the same forecast the PlatformCard
+ * shows.
+ */
+
+const NOTIFIED_KEY = `${STORAGE_KEY}.alerts`;
+
+function threshold(v) {
+  return v === null || v === undefined || v === "" || !Number.isFinite(Number(v)) ? null : Number(v);
+}
+
+export function platformAlerts(p, balance, left) {
+  const cfg = p.alerts || {};
+  const out = [];
+  const minBalance = threshold(cfg.minBalance);
+  const minPercent = threshold(cfg.minPercent);
+  const minDays = threshold(cfg.minDays);
+  const allowance = Number(p.monthlyAllowance) || 0;
+  if (minBalance !== null && balance < minBalance) {
+    out.push({ kind: "balance", message: `Balance ${formatNumber(balance)} is below ${formatNumber(minBalance)} ${p.unit || "credits"}` });
+  }
+  if (minPercent !== null && allowance > 0 && (balance / allowance) * 100 < minPercent) {
+    out.push({ kind: "percent", message: `${Math.round((balance / allowance) * 100)}% of the monthly allowance left (alert below ${minPercent}%)` });
+  }
+  if (minDays !== null && left < minDays) {
+    out.push({ kind: "days", message: `Forecast runs out in ${left} days (alert below ${minDays})` });
+  }
+  return out.map(a => ({ ...a, platformId: p.id, platform: platformLabel(p), color: p.color }));
+}
+
+export function evaluateAlerts(platforms, transactions, method, schedules = [], window = 30) {
+  const balances = balancesByPlatform(transactions);
+  return platforms.flatMap((p) => {
+    const balance = balances[p.id] || 0;
+    const own = transactions.filter(t => belongsTo(t, p));
+    const left = daysUntilDepletion(forecastBalance({ balance, transactions: own, platforms: [p], schedules: schedules.filter(s => belongsTo(s, p)), method, window }));
+    return platformAlerts(p, balance, left);
+  });
+}
+
+export function alertKey(a) { return `${a.platformId}:${a.kind}`; }
+
+// The set of alerts active last time we looked, so only newly crossed thresholds notify.
+function loadNotified() {
+  try { return new Set(JSON.parse(localStorage.getItem(NOTIFIED_KEY)) || []); } catch (e) { return new Set(); }
+}
+
+/** Returns the alerts that were not active at the previous check and remembers the current set. */
+export function takeNewAlerts(alerts) {
+  const prev = loadNotified();
+  localStorage.setItem(NOTIFIED_KEY, JSON.stringify(alerts.map(alertKey)));
+  return alerts.filter(a => !prev.has(alertKey(a)));
+}
+
+export function notificationsSupported() { return typeof window !== "undefined" && "Notification" in window; }
+
+export function deliverNotifications(alerts) {
+  if (!notificationsSupported() || Notification.permission !== "granted") return;
+  alerts.forEach(a => new Notification(`CreditRadar: ${a.platform}`, { body: a.message, tag: alertKey(a) }));
+}
@@ -0,0 +1,94 @@
+import { isSpend, platformLabel } from "./ledger.js";
+import { addDays, startOfWeek, todayKey } from "./dates.js";
+
+/**
+ * Analytics aggregations – all spend-only and keyed by `YYYY-MM-DD` dates.
+ *
+ * Comparisons
+ * - week:  last 7 days vs the 7 days before
+ * - month: month-to-date vs the same number of days at the start of last month
+ */
+
+export const RANGE_PRESETS = {
+  "7d": "7 days",
+  "30d": "30 days",
+  "90d": "90 days",
+  mtd: "Month to date",
+  custom: "Custom",
+};
+
+export function resolveRange(preset, custom = {}, today = todayKey()) {
+  if (preset === "custom" && custom.from && custom.to) {
+    return custom.from <= custom.to ? { from: custom.from, to: custom.to } : { from: custom.to, to: custom.from };
+  }
+  if (preset === "mtd") return { from: `${today.slice(0, 8)}01`, to: today };
+  const days = { "7d": 7, "90d": 90 }[preset] || 30;
+  return { from: addDays(today, 1 - days), to: today };
+}
+
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000) + 1;
+}
+
+export function spendInRange(transactions, { from, to }) {
+  return transactions.filter(t => isSpend(t) && t.date >= from && t.date <= to);
+}
+
+const sumSpend = (txns) => txns.reduce((a, t) => a + Math.abs(Number(t.amount) || 0), 0);
+
+/**
+ * Spend per bucket with one key per platform (its `platformLabel`), for a stacked chart.
+ * Buckets are days, or weeks (keyed by their first day, see Settings) once the range passes ~2 months.
+ */
+export function stackedByPlatform(transactions, range) {
+  const weekly = daysBetween(range.from, range.to) > 62;
+  const bucketOf = weekly ? (d) => startOfWeek(d) : (d) => d;
+  const rows = new Map();
+  for (let d = bucketOf(range.from); d <= range.to; d = addDays(d, weekly ? 7 : 1)) rows.set(d, { date: d });
+  spendInRange(transactions, range).forEach((t) => {
+    const row = rows.get(bucketOf(t.date));
+    const key = platformLabel(t);
+    if (row) row[key] = (row[key] || 0) + Math.abs(Number(t.amount) || 0);
+  });
+  return { weekly, data: [...rows.values()] };
+}
+
+/** Spend totals per `keyOf(t)`, biggest first: `[{ key, spend }]`. */
+export function spendBy(transactions, range, keyOf) {
+  const out = {};
+  spendInRange(transactions, range).forEach((t) => {
+    const key = keyOf(t);
+    out[key] = (out[key] || 0) + Math.abs(Number(t.amount) || 0);
+  });
+  return Object.entries(out).map(([key, spend]) => ({ key, spend })).sort((a, b) => b.spend - a.spend);
+}
+
+export function spendByProject(transactions, range) {
+  return spendBy(transactions, range, t => (t.project || "").trim() || "Untagged").map(({ key, spend }) => ({ project: key, spend }));
+}
+
+function compare(transactions, current, previous) {
+  const cur = sumSpend(spendInRange(transactions, current));
+  const prev = sumSpend(spendInRange(transactions, previous));
+  return { current: cur, previous: prev, change: prev ? (cur - prev) / prev : null, range: current, previousRange: previous };
+}
+
+export function periodComparisons(transactions, today = todayKey()) {
+  const monthStart = `${today.slice(0, 8)}01`;
+  const lastMonthStart = `${addDays(monthStart, -1).slice(0, 8)}01`;
+  const lastMonthEnd = addDays(monthStart, -1);
+  const span = daysBetween(monthStart, today);
+  const sameSpan = addDays(lastMonthStart, span - 1);
+  return {
+    week: compare(transactions, { from: addDays(today, -6), to: today }, { from: addDays(today, -13), to: addDays(today, -7) }),
+    month: compare(transactions, { from: monthStart, to: today }, { from: lastMonthStart, to: sameSpan < lastMonthEnd ? sameSpan : lastMonthEnd }),
+  };
+}
+
+export function topTransactions(transactions, range, n = 10) {
+  return spendInRange(transactions, range).sort((a, b) => Math.abs(b.amount) - Math.abs(a.amount)).slice(0, n);
+}
+
+export function totalSpend(transactions, range) {
+  return sumSpend(spendInRange(transactions, range));
+}
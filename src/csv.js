@@ -0,0 +1,222 @@
+import { accountOf, balancesByPlatform, isSpend, txnType } from "./ledger.js";
+import { creditsToMoney, currencySettings } from "./money.js";
+import { dayKey, isTime, timeOfDay } from "./dates.js";
+import { checkImportRow, firstError } from "./schema.js";
+
+/**
+ * CSV helpers – writing the "Balances"/"Transactions" export and reading it
+ * (or any other CSV, e.g. provider usage logs) back in.
+ */
+
+export function toCSV(rows) {
+  return rows.map(r => r.map(v => `"${String(v).replaceAll('"', '""')}"`).join(",")).join("\n");
+}
+
+/**
+ * Our own export: a "Balances" section (one row per platform) and a
+ * "Transactions" section, with money columns in the display currency.
+ * parseCreditRadarExport reads it back.
+ */
+export function ledgerToCSV(state) {
+  const balances = balancesByPlatform(state.transactions);
+  const byId = Object.fromEntries(state.platforms.map(p => [p.id, p]));
+  const { display } = currencySettings(state.settings);
+  const money = (v) => v === null ? "" : v.toFixed(2);
+  const value = (credits, p) => money(creditsToMoney(credits, p, state.settings));
+
+  const headers1 = ["Platform","Credits","Unit","MonthlyAllowance","Account","PlanPrice","PlanCredits","PriceCurrency",`Value (${display})`];
+  const rows1 = state.platforms.map(p => [p.name,balances[p.id]||0,p.unit,p.monthlyAllowance,accountOf(p),p.planPrice||"",p.planCredits||"",p.currency||"",value(balances[p.id]||0,p)]);
+
+  const headers2 = ["Date","Time","Platform","Account","Member","Amount","Project","Note","Type",`Cost (${display})`];
+  const rows2 = state.transactions.map(t => [t.date,t.time||"",t.platform,accountOf(t),t.member||"",t.amount,t.project||"",t.note||"",txnType(t),isSpend(t) ? value(Math.abs(Number(t.amount) || 0),byId[t.platformId]) : ""]);
+
+  return `Balances\n${toCSV([headers1, ...rows1])}\n\nTransactions\n${toCSV([headers2, ...rows2])}`;
+}
+
+/** RFC 4180-ish parser: quoted fields, escaped quotes, CRLF, newlines inside quotes. */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  const src = String(text).replace(/^﻿/, "");
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += c;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function ymd(y, m, d) {
+  const yy = Number(y) < 100 ? 2000 + Number(y) : Number(y);
+  const dt = new Date(Date.UTC(yy, Number(m) - 1, Number(d)));
+  if (dt.getUTCMonth() !== Number(m) - 1) return null;
+  return `${yy}-${pad(m)}-${pad(d)}`;
+}
+
+export const DATE_FORMATS = ["auto", "YYYY-MM-DD", "MM/DD/YYYY", "DD/MM/YYYY"];
+
+// "2026-03-01T23:30:00Z", "2026-03-01 23:30+01:00": a moment, which falls on a day in the user's zone.
+const INSTANT = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i;
+const instantOf = (s) => new Date(s.replace(" ", "T").replace(/([+-]\d{2})(\d{2})$/, "$1:$2"));
+
+/**
+ * Returns a `YYYY-MM-DD` key or null. Slash dates are read as MM/DD unless the
+ * day cannot be a month; timestamps with a zone are moved to the user's zone.
+ */
+export function parseDate(value, format = "auto") {
+  const s = String(value ?? "").trim();
+  if (!s) return null;
+  if (INSTANT.test(s)) return dayKey(instantOf(s));
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return ymd(m[1], m[2], m[3]);
+  m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+  if (m) {
+    const dayFirst = format === "DD/MM/YYYY" || (format === "auto" && (s.includes(".") || Number(m[1]) > 12));
+    return dayFirst ? ymd(m[3], m[2], m[1]) : ymd(m[3], m[1], m[2]);
+  }
+  const t = new Date(s);
+  if (Number.isNaN(t.getTime())) return null;
+  return `${t.getFullYear()}-${pad(t.getMonth() + 1)}-${pad(t.getDate())}`;
+}
+
+/** "HH:MM" from a date-time value (in the user's zone when it names one), or "" when it has no time. */
+export function parseTime(value) {
+  const s = String(value ?? "").trim();
+  if (INSTANT.test(s)) return timeOfDay(instantOf(s));
+  const m = s.match(/(?:^|[T\s])(\d{1,2}):(\d{2})/);
+  const time = m ? `${pad(m[1])}:${m[2]}` : "";
+  return isTime(time) ? time : "";
+}
+
+/** Accepts "1,234.5", "1.234,5", "$20", "(20)" and "−20"; returns NaN when unreadable. */
+export function parseNumber(value) {
+  let s = String(value ?? "").trim().replace(/[−–]/g, "-");
+  if (!s) return NaN;
+  let neg = false;
+  if (/^\(.*\)$/.test(s)) { neg = true; s = s.slice(1, -1); }
+  s = s.replace(/[^\d.,-]/g, "");
+  const lastComma = s.lastIndexOf(","), lastDot = s.lastIndexOf(".");
+  if (lastComma > -1 && lastDot > -1) {
+    s = lastComma > lastDot ? s.replaceAll(".", "").replace(",", ".") : s.replaceAll(",", "");
+  } else if (lastComma > -1) {
+    s = /,\d{1,2}$/.test(s) && s.indexOf(",") === lastComma ? s.replace(",", ".") : s.replaceAll(",", "");
+  }
+  const n = Number(s);
+  return neg ? -n : n;
+}
+
+/** Same day, platform + account, amount and note counts as the same entry. */
+export function dupKey(t) {
+  return [t.date, String(t.platform).toLowerCase(), accountOf(t).toLowerCase(), Number(t.amount), (t.note || "").trim().toLowerCase()].join("|");
+}
+
+export function markDuplicates(incoming, existing) {
+  const seen = new Set(existing.map(dupKey));
+  return incoming.map((t) => {
+    const key = dupKey(t);
+    const duplicate = seen.has(key);
+    seen.add(key);
+    return { ...t, duplicate };
+  });
+}
+
+/**
+ * Reads our own export (see exportCSV in App). Returns null when the text is
+ * not in that format so the caller can fall back to the generic mapper.
+ */
+export function parseCreditRadarExport(text) {
+  const rows = parseCSV(text);
+  const at = (label) => rows.findIndex(r => r.length === 1 && r[0].trim() === label);
+  const b = at("Balances"), t = at("Transactions");
+  if (b !== 0 || t < 0) return null;
+  const section = (from, to) => {
+    const [head, ...body] = rows.slice(from + 1, to).filter(r => r.some(v => v.trim() !== ""));
+    return (body || []).map(r => Object.fromEntries((head || []).map((h, i) => [h, r[i] ?? ""])));
+  };
+  const platforms = section(b, t).map(r => ({
+    name: r.Platform.trim(),
+    credits: parseNumber(r.Credits) || 0,
+    unit: r.Unit || "credits",
+    monthlyAllowance: parseNumber(r.MonthlyAllowance) || 0,
+    account: r.Account || "main",
+    planPrice: parseNumber(r.PlanPrice) || 0,
+    planCredits: parseNumber(r.PlanCredits) || 0,
+    currency: r.PriceCurrency || undefined,
+  }));
+  const transactions = section(t, rows.length).map(r => ({
+    date: parseDate(r.Date, "YYYY-MM-DD"),
+    time: parseTime(r.Time),
+    platform: r.Platform.trim(),
+    account: accountOf({ account: r.Account }),
+    member: r.Member || "",
+    amount: parseNumber(r.Amount),
+    project: r.Project || "",
+    note: r.Note || "",
+    type: r.Type || "usage",
+  })).map(t => ({ ...t, error: firstError(checkImportRow(t).errors) }));
+  return { platforms, transactions };
+}
+
+// Header names seen in our export and in provider usage/billing downloads.
+const FIELD_ALIASES = {
+  date: ["date", "created", "created at", "timestamp", "time", "day"],
+  amount: ["amount", "credits", "credits used", "credit", "cost", "usage", "units"],
+  platform: ["platform", "provider", "service", "tool"],
+  account: ["account", "seat", "plan"],
+  member: ["member", "user", "owner", "created by", "email"],
+  project: ["project", "workspace", "team", "folder"],
+  note: ["note", "notes", "description", "prompt", "task", "type", "model"],
+};
+
+export const IMPORT_FIELDS = Object.keys(FIELD_ALIASES);
+
+/** Best-effort column guess: { field: columnIndex | -1 }. */
+export function guessMapping(headers) {
+  const norm = headers.map(h => String(h).trim().toLowerCase().replace(/[_-]+/g, " "));
+  const used = new Set();
+  const out = {};
+  IMPORT_FIELDS.forEach((f) => {
+    const idx = norm.findIndex((h, i) => !used.has(i) && FIELD_ALIASES[f].includes(h));
+    out[f] = idx;
+    if (idx > -1) used.add(idx);
+  });
+  return out;
+}
+
+/**
+ * Applies a column mapping to raw rows (header excluded).
+ * options: { platform + account (fixed target when no platform column), negate, dateFormat }
+ */
+export function mapRows(rows, mapping, options = {}) {
+  const col = (r, f) => (mapping[f] > -1 ? (r[mapping[f]] ?? "").trim() : "");
+  return rows
+    .filter(r => r.some(v => String(v).trim() !== ""))
+    .map((r) => {
+      const raw = parseNumber(col(r, "amount"));
+      const amount = options.negate ? -Math.abs(raw) : raw;
+      const platform = col(r, "platform");
+      const t = {
+        date: parseDate(col(r, "date"), options.dateFormat),
+        time: parseTime(col(r, "date")),
+        platform: platform || options.platform || "",
+        account: accountOf({ account: col(r, "account") || (platform ? "" : options.account) }),
+        member: col(r, "member"),
+        amount,
+        project: col(r, "project"),
+        note: col(r, "note"),
+        type: "usage",
+      };
+      return { ...t, error: firstError(checkImportRow(t).errors) };
+    });
+}
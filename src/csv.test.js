@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { makeEntry } from "./ledger.js";
+import { configureDates } from "./dates.js";
+import { ledgerToCSV, mapRows, markDuplicates, parseCSV, parseCreditRadarExport, parseDate, parseNumber, parseTime, toCSV } from "./csv.js";
+
+describe("toCSV / parseCSV", () => {
+  it("round-trips commas, quotes and newlines", () => {
+    const rows = [["A,1", 'B"2', "C\n3"], ["x", "y", "z"]];
+    expect(parseCSV(toCSV(rows))).toEqual(rows);
+  });
+});
+
+describe("ledgerToCSV", () => {
+  const suno = { id: "s", name: "Suno", account: "main", unit: "credits", monthlyAllowance: 0, planPrice: 10, planCredits: 500, currency: "USD" };
+  const state = {
+    platforms: [suno],
+    transactions: [
+      makeEntry("opening", suno, 500, { date: "2026-01-01" }),
+      makeEntry("usage", suno, -40, { date: "2026-01-02", time: "21:15", project: "NeonShore EP", note: "2 songs, v4", member: "Sam" }),
+    ],
+  };
+
+  it("writes balances and priced transactions", () => {
+    const csv = ledgerToCSV(state);
+    expect(csv.startsWith("Balances\n")).toBe(true);
+    expect(csv).toContain('"Suno","460","credits"');
+    expect(csv).toContain('"2026-01-02","21:15","Suno","main","Sam","-40","NeonShore EP","2 songs, v4","usage","0.80"');
+  });
+
+  it("is read back by parseCreditRadarExport", () => {
+    const back = parseCreditRadarExport(ledgerToCSV(state));
+    expect(back.platforms[0]).toMatchObject({ name: "Suno", credits: 460, planPrice: 10, planCredits: 500 });
+    expect(back.transactions.map(t => [t.date, t.time, t.amount, t.type, t.error])).toEqual([
+      ["2026-01-01", "", 500, "opening", null],
+      ["2026-01-02", "21:15", -40, "usage", null],
+    ]);
+  });
+});
+
+describe("generic import", () => {
+  it("reads loose numbers and dates", () => {
+    expect(parseNumber("1.234,5")).toBe(1234.5);
+    expect(parseNumber("(20)")).toBe(-20);
+    expect(parseDate("13/02/2026")).toBe("2026-02-13");
+    expect(parseDate("02/13/2026", "MM/DD/YYYY")).toBe("2026-02-13");
+  });
+
+  it("moves zoned timestamps to the user's day and time", () => {
+    configureDates({ timeZone: "America/New_York" });
+    expect(parseDate("2026-03-02T03:30:00Z")).toBe("2026-03-01");
+    expect(parseTime("2026-03-02T03:30:00Z")).toBe("22:30");
+    expect(parseTime("2026-03-02 7:05")).toBe("07:05");
+    expect(parseTime("2026-03-02")).toBe("");
+    configureDates({});
+  });
+
+  it("maps columns and flags unreadable rows and duplicates", () => {
+    const rows = [["2026-02-01", "12", "run A"], ["nope", "3", "run B"]];
+    const mapped = mapRows(rows, { date: 0, amount: 1, note: 2, platform: -1, account: -1, member: -1, project: -1 }, { platform: "Runway", account: "main", negate: true });
+    expect(mapped[0]).toMatchObject({ platform: "Runway", amount: -12, error: null });
+    expect(mapped[1].error).toBe("Unreadable date");
+    const [dupe] = markDuplicates([mapped[0]], [{ ...mapped[0], id: "x" }]);
+    expect(dupe.duplicate).toBe(true);
+  });
+});
@@ -0,0 +1,68 @@
+import { balancesByPlatform, isSpend } from "./ledger.js";
+import { addDays, todayKey } from "./dates.js";
+import { creditsToMoney, sumMoney } from "./money.js";
+import { preferences } from "./preferences.js";
+
+/**
+ * Dashboard numbers
+ *
+ * The KPI row and the spend chart, computed from state alone so they can be
+ * tested without rendering anything. "Last N days" always means the N
+ * calendar days up to and including `today`.
+ */
+
+/** Entries dated within the last `days` days. */
+export function recentEntries(transactions, days = 30, today = todayKey()) {
+  const from = addDays(today, -(days - 1));
+  return transactions.filter(t => t.date >= from && t.date <= today);
+}
+
+export function totalCredits(platforms, balances) {
+  return platforms.reduce((a, p) => a + (balances[p.id] || 0), 0);
+}
+
+/** Average logged spend per day over the last `days` days, to 2 decimals. */
+export function dailyBurn(transactions, days = 30, today = todayKey()) {
+  const spent = recentEntries(transactions, days, today).filter(isSpend).reduce((a, t) => a + Math.abs(t.amount), 0);
+  return +(spent / days).toFixed(2);
+}
+
+/** Money value of everything on the platforms: `{ total, missing }` as in `sumMoney`. */
+export function balanceValue(platforms, balances, settings) {
+  return sumMoney(platforms.map(p => creditsToMoney(balances[p.id] || 0, p, settings)));
+}
+
+/** What an entry cost in the display currency (null when its platform has no price). */
+export function entryCost(t, platformsById, settings) {
+  return creditsToMoney(Math.abs(Number(t.amount) || 0), platformsById[t.platformId], settings);
+}
+
+/** Spend per day, oldest first: `[{ date, spend, cost }]`; `costOf(t)` prices an entry. */
+export function dailySpendBuckets(transactions, { days = 14, today = todayKey(), costOf = () => 0 } = {}) {
+  const spend = {};
+  const cost = {};
+  transactions.filter(isSpend).forEach((t) => {
+    spend[t.date] = (spend[t.date] || 0) + Math.abs(t.amount);
+    cost[t.date] = (cost[t.date] || 0) + (costOf(t) || 0);
+  });
+  return Array.from({ length: days }).map((_, i) => {
+    const date = addDays(today, i - (days - 1));
+    return { date, spend: spend[date] || 0, cost: +(cost[date] || 0).toFixed(2) };
+  });
+}
+
+/** The KPI row: `{ balances, total, value, burn, burnValue, burnDays }`; burn is averaged over the forecast window. */
+export function dashboardSummary(state, today = todayKey()) {
+  const days = preferences(state.settings).forecastWindow;
+  const balances = balancesByPlatform(state.transactions);
+  const byId = Object.fromEntries(state.platforms.map(p => [p.id, p]));
+  const recent = recentEntries(state.transactions, days, today).filter(isSpend);
+  return {
+    balances,
+    total: totalCredits(state.platforms, balances),
+    value: balanceValue(state.platforms, balances, state.settings),
+    burn: dailyBurn(state.transactions, days, today),
+    burnValue: sumMoney(recent.map(t => entryCost(t, byId, state.settings))).total / days,
+    burnDays: days,
+  };
+}
@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import { makeEntry } from "./ledger.js";
+import { dailyBurn, dailySpendBuckets, dashboardSummary, recentEntries } from "./dashboard.js";
+
+const TODAY = "2026-03-31";
+const suno = { id: "s", name: "Suno", account: "main", planPrice: 10, planCredits: 500, currency: "USD" };
+const pika = { id: "k", name: "Pika", account: "main" };
+
+const state = {
+  platforms: [suno, pika],
+  transactions: [
+    makeEntry("opening", suno, 1000, { date: "2026-01-01" }),
+    makeEntry("opening", pika, 300, { date: "2026-01-01" }),
+    makeEntry("usage", suno, -40, { date: "2026-03-31" }),
+    makeEntry("usage", suno, -20, { date: "2026-03-30" }),
+    makeEntry("usage", pika, -30, { date: "2026-03-02" }), // first day of the 30-day window
+    makeEntry("usage", pika, -50, { date: "2026-03-01" }), // just outside it
+    makeEntry("adjustment", pika, -10, { date: "2026-03-30" }), // not burn
+  ],
+};
+
+describe("dashboard numbers", () => {
+  it("sums balances across platforms", () => {
+    const { balances, total } = dashboardSummary(state, TODAY);
+    expect(balances).toEqual({ s: 940, k: 210 });
+    expect(total).toBe(1150);
+  });
+
+  it("averages logged spend over the last 30 days", () => {
+    expect(recentEntries(state.transactions, 30, TODAY)).toHaveLength(4);
+    expect(dailyBurn(state.transactions, 30, TODAY)).toBe(3);
+  });
+
+  it("values balances and burn with plan prices, counting unpriced platforms", () => {
+    const { value, burnValue } = dashboardSummary(state, TODAY);
+    expect(value).toEqual({ total: 18.8, missing: 1 });
+    expect(burnValue).toBeCloseTo(1.2 / 30);
+  });
+
+  it("averages burn over the forecast window from Settings", () => {
+    const { burn, burnDays } = dashboardSummary({ ...state, settings: { forecastWindow: 60 } }, TODAY);
+    expect(burnDays).toBe(60);
+    expect(burn).toBe(2.33);
+  });
+
+  it("buckets spend per day, oldest first", () => {
+    const days = dailySpendBuckets(state.transactions, { days: 3, today: TODAY, costOf: t => Math.abs(t.amount) / 10 });
+    expect(days).toEqual([
+      { date: "2026-03-29", spend: 0, cost: 0 },
+      { date: "2026-03-30", spend: 20, cost: 2 },
+      { date: "2026-03-31", spend: 40, cost: 4 },
+    ]);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Calendar days in the user's time zone
+ *
+ * Every date in the ledger is a day key, `YYYY-MM-DD`, meaning a day on the
+ * user's wall clock – not a UTC date. Keys compare as strings and are stepped
+ * with `addDays`, which is plain calendar arithmetic and so unaffected by DST.
+ * Only turning an instant into a key or a time of day needs a time zone: the
+ * one chosen in Settings, or the browser's when none is set.
+ *
+ * Settings: `{ timeZone?: IANA name, weekStart?: 0–6 (0 = Sunday) }`, applied
+ * app-wide with `configureDates` so engines that default to "today" agree with
+ * the charts. Entries may carry an optional `time` ("HH:MM", same zone).
+ */
+
+export const WEEK_STARTS = { 1: "Monday", 0: "Sunday", 6: "Saturday" };
+
+const DAY_MS = 24 * 3600 * 1000;
+
+export function systemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+export function isTimeZone(tz) {
+  if (!tz) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/** IANA zones to offer in Settings (the system zone and UTC when the browser can't list them). */
+export function timeZoneOptions() {
+  const listed = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+  return [...new Set([systemTimeZone(), "UTC", ...listed])].sort();
+}
+
+export function dateSettings(settings = {}) {
+  const weekStart = Number(settings.weekStart);
+  return {
+    timeZone: isTimeZone(settings.timeZone) ? settings.timeZone : systemTimeZone(),
+    weekStart: settings.weekStart !== undefined && String(weekStart) in WEEK_STARTS ? weekStart : 1,
+  };
+}
+
+let current = dateSettings();
+
+export function configureDates(settings) {
+  current = dateSettings(settings);
+}
+
+export const currentDateSettings = () => current;
+
+const formatters = new Map();
+function partsOf(instant, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit",
+    }));
+  }
+  return Object.fromEntries(formatters.get(timeZone).formatToParts(instant).map(p => [p.type, p.value]));
+}
+
+/** The day `instant` falls on in `timeZone`. */
+export function dayKey(instant = new Date(), timeZone = current.timeZone) {
+  const p = partsOf(new Date(instant), timeZone);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+/** "HH:MM" of `instant` in `timeZone`. */
+export function timeOfDay(instant = new Date(), timeZone = current.timeZone) {
+  const p = partsOf(new Date(instant), timeZone);
+  return `${p.hour}:${p.minute}`;
+}
+
+export function todayKey() { return dayKey(new Date()); }
+
+const minutesOf = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+
+/** Milliseconds from `instant` until the clock in `timeZone` next reads `time` ("HH:MM"); a DST shift in between moves it by the shift. */
+export function msUntilTime(time, instant = new Date(), timeZone = current.timeZone) {
+  const ahead = (minutesOf(time) - minutesOf(timeOfDay(instant, timeZone)) + 1440) % 1440 || 1440;
+  const d = new Date(instant);
+  return ahead * 60 * 1000 - d.getUTCSeconds() * 1000 - d.getUTCMilliseconds();
+}
+
+export function addDays(key, n) {
+  return new Date(Date.parse(`${key}T00:00:00Z`) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+/** 0 = Sunday … 6 = Saturday. */
+export function weekdayOf(key) {
+  return new Date(`${key}T00:00:00Z`).getUTCDay();
+}
+
+/** First day of the week containing `key`. */
+export function startOfWeek(key, weekStart = current.weekStart) {
+  return addDays(key, -((weekdayOf(key) - weekStart + 7) % 7));
+}
+
+export function isTime(v) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(String(v || ""));
+}
+
+/** Sort key for an entry: its day, then its time when it has one. */
+export function momentOf(t) {
+  return t.time ? `${t.date}T${t.time}` : t.date;
+}
@@ -0,0 +1,60 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { addDays, configureDates, dateSettings, dayKey, momentOf, msUntilTime, startOfWeek, timeOfDay } from "./dates.js";
+import { sortTransactions } from "./txnQuery.js";
+
+afterEach(() => configureDates({}));
+
+describe("day keys", () => {
+  it("put evening usage on the local day, not the UTC one", () => {
+    const evening = "2026-03-02T04:30:00Z"; // 20:30 the day before in Los Angeles
+    expect(dayKey(evening, "America/Los_Angeles")).toBe("2026-03-01");
+    expect(timeOfDay(evening, "America/Los_Angeles")).toBe("20:30");
+    expect(dayKey(evening, "Asia/Tokyo")).toBe("2026-03-02");
+  });
+
+  it("follow the configured zone by default", () => {
+    configureDates({ timeZone: "Pacific/Kiritimati" }); // UTC+14
+    expect(dayKey("2026-12-31T12:00:00Z")).toBe("2027-01-01");
+  });
+
+  it("step across DST changes one calendar day at a time", () => {
+    expect(addDays("2026-03-07", 1)).toBe("2026-03-08");
+    expect(addDays("2026-03-08", 1)).toBe("2026-03-09");
+    expect(addDays("2026-03-01", -1)).toBe("2026-02-28");
+  });
+});
+
+describe("settings", () => {
+  it("fall back to the browser zone and Monday weeks", () => {
+    expect(dateSettings({ timeZone: "Not/AZone", weekStart: 3 })).toMatchObject({ weekStart: 1 });
+    expect(dateSettings({ timeZone: "Europe/Berlin", weekStart: 0 })).toEqual({ timeZone: "Europe/Berlin", weekStart: 0 });
+  });
+
+  it("decide where a week starts", () => {
+    expect(startOfWeek("2026-03-04")).toBe("2026-03-02"); // Wednesday -> Monday
+    configureDates({ weekStart: 0 });
+    expect(startOfWeek("2026-03-04")).toBe("2026-03-01");
+    expect(startOfWeek("2026-03-01")).toBe("2026-03-01");
+  });
+});
+
+describe("time of day", () => {
+  it("orders entries within a day", () => {
+    const txns = [
+      { id: "a", date: "2026-03-01", time: "09:00", amount: -1 },
+      { id: "b", date: "2026-03-01", time: "21:30", amount: -1 },
+      { id: "c", date: "2026-02-28", amount: -1 },
+    ];
+    expect(momentOf(txns[1])).toBe("2026-03-01T21:30");
+    expect(sortTransactions(txns, "date-desc").map(t => t.id)).toEqual(["b", "a", "c"]);
+  });
+
+  it("counts down to the next time the zone's clock reads a given time", () => {
+    const at = new Date("2026-03-02T19:30:15Z");
+    const min = 60 * 1000;
+    expect(msUntilTime("20:00", at, "UTC")).toBe(30 * min - 15000);
+    expect(msUntilTime("00:00", at, "UTC")).toBe(270 * min - 15000);
+    expect(msUntilTime("19:30", at, "UTC")).toBe(24 * 60 * min - 15000);
+    expect(msUntilTime("05:00", at, "Asia/Tokyo")).toBe(30 * min - 15000); // 04:30 there
+  });
+});
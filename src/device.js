@@ -0,0 +1,39 @@
+import { STORAGE_KEY } from "./storage.js";
+
+/**
+ * Per-device settings
+ *
+ * The ledger's `settings` travel with it – to other tabs, into backups and,
+ * through the team server, to every teammate. Choices that belong to one
+ * person on one device are kept out of it, in this browser's localStorage like
+ * the team server connection, and changing them is not an undo step:
+ *
+ *   { timeZone?, weekStart?, theme?, locale?, notifications?, reminder? }
+ *
+ * Ledgers saved before the split carry them in `settings`; `takeDeviceSettings`
+ * moves them out on load without overriding what this device already has.
+ */
+
+const DEVICE_KEY = `${STORAGE_KEY}.device`;
+
+export const DEVICE_SETTINGS = ["timeZone", "weekStart", "theme", "locale", "notifications", "reminder"];
+
+export function loadDeviceSettings() {
+  try { return JSON.parse(localStorage.getItem(DEVICE_KEY)) || {}; } catch (e) { return {}; }
+}
+
+export function saveDeviceSettings(device) {
+  localStorage.setItem(DEVICE_KEY, JSON.stringify(device));
+}
+
+/** True for a `storage` event saying another tab changed this device's settings. */
+export const isDeviceSettingsEvent = (e) => e.key === DEVICE_KEY;
+
+/** `state` without per-device settings; those it carried are kept for this device where it has none of its own. */
+export function takeDeviceSettings(state) {
+  const settings = state.settings || {};
+  const found = DEVICE_SETTINGS.filter(k => settings[k] !== undefined);
+  if (!found.length) return state;
+  saveDeviceSettings({ ...Object.fromEntries(found.map(k => [k, settings[k]])), ...loadDeviceSettings() });
+  return { ...state, settings: Object.fromEntries(Object.entries(settings).filter(([k]) => !DEVICE_SETTINGS.includes(k))) };
+}
@@ -0,0 +1,21 @@
+import { describe, expect, it } from "vitest";
+import { loadDeviceSettings, saveDeviceSettings, takeDeviceSettings } from "./device.js";
+
+describe("takeDeviceSettings", () => {
+  it("moves per-device settings out of the ledger", () => {
+    const state = { platforms: [], transactions: [], settings: { displayCurrency: "EUR", timeZone: "Europe/Berlin", weekStart: 0 } };
+    expect(takeDeviceSettings(state).settings).toEqual({ displayCurrency: "EUR" });
+    expect(loadDeviceSettings()).toEqual({ timeZone: "Europe/Berlin", weekStart: 0 });
+  });
+
+  it("keeps what this device already chose", () => {
+    saveDeviceSettings({ timeZone: "Asia/Tokyo" });
+    takeDeviceSettings({ platforms: [], transactions: [], settings: { timeZone: "Europe/Berlin", weekStart: 0 } });
+    expect(loadDeviceSettings()).toEqual({ timeZone: "Asia/Tokyo", weekStart: 0 });
+  });
+
+  it("leaves a ledger without them untouched", () => {
+    const state = { platforms: [], transactions: [], settings: { displayCurrency: "EUR" } };
+    expect(takeDeviceSettings(state)).toBe(state);
+  });
+});
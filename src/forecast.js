@@ -0,0 +1,127 @@
+import { isSpend } from "./ledger.js";
+import { addDays, todayKey, weekdayOf } from "./dates.js";
+import { hasRenewal, nextRenewal } from "./renewals.js";
+import { scheduledAmounts } from "./recurring.js";
+
+/**
+ * Burn-rate forecasting
+ *
+ * A model is fitted to the daily spend of the last `window` days and rolled
+ * forward from today's balance, adding scheduled allowance renewals on their
+ * dates, and recurring transactions (recurring.js) on theirs. Entries posted
+ * by a schedule are left out of the fit so they are not counted twice. The
+ * result carries a projected-balance line, the depletion date and an ~80%
+ * range for it from the model's day-to-day error (which grows with √days
+ * ahead).
+ *
+ * Methods
+ * - average: flat mean of the window
+ * - ewma:    exponentially weighted mean, recent days count more
+ * - trend:   least-squares line through the window, extrapolated (never < 0)
+ * - weekday: mean per day of the week, for weekly patterns
+ */
+
+export const FORECAST_METHODS = {
+  average: "Simple average",
+  ewma: "Exponentially weighted",
+  trend: "Linear trend",
+  weekday: "Weekday-seasonal",
+};
+
+const Z80 = 1.28;
+const EWMA_ALPHA = 0.2;
+
+/** Unscheduled spend per day for the `days` days ending yesterday (today is still in progress). */
+export function dailySpendSeries(transactions, days = 30, today = todayKey()) {
+  const byDay = {};
+  transactions.filter(t => isSpend(t) && !t.scheduleId).forEach((t) => { byDay[t.date] = (byDay[t.date] || 0) + Math.abs(t.amount); });
+  return Array.from({ length: days }).map((_, i) => {
+    const date = addDays(today, i - days);
+    return { date, spend: byDay[date] || 0 };
+  });
+}
+
+function residualSd(series, fitted) {
+  if (series.length < 2) return 0;
+  const sq = series.reduce((a, d, i) => a + (d.spend - fitted[i]) ** 2, 0);
+  return Math.sqrt(sq / (series.length - 1));
+}
+
+/** Returns `{ predict(dateKey, stepsAhead), sd }` for the chosen method. */
+export function fitSpendModel(series, method = "average") {
+  const n = series.length;
+  const ys = series.map(d => d.spend);
+  const mean = n ? ys.reduce((a, b) => a + b, 0) / n : 0;
+
+  if (method === "ewma" && n) {
+    let level = ys[0];
+    const fitted = ys.map((y) => { const f = level; level = EWMA_ALPHA * y + (1 - EWMA_ALPHA) * level; return f; });
+    return { predict: () => level, sd: residualSd(series, fitted) };
+  }
+  if (method === "trend" && n > 1) {
+    const xm = (n - 1) / 2;
+    const sxx = ys.reduce((a, _, x) => a + (x - xm) ** 2, 0);
+    const slope = ys.reduce((a, y, x) => a + (x - xm) * (y - mean), 0) / sxx;
+    const at = (x) => mean + slope * (x - xm);
+    return { predict: (_, ahead) => Math.max(0, at(n - 1 + ahead)), sd: residualSd(series, ys.map((_, x) => at(x))) };
+  }
+  if (method === "weekday" && n) {
+    const sums = Array(7).fill(0), counts = Array(7).fill(0);
+    series.forEach((d) => { const w = weekdayOf(d.date); sums[w] += d.spend; counts[w] += 1; });
+    const byDay = sums.map((s, w) => (counts[w] ? s / counts[w] : mean));
+    return { predict: (date) => byDay[weekdayOf(date)], sd: residualSd(series, series.map(d => byDay[weekdayOf(d.date)])) };
+  }
+  return { predict: () => mean, sd: residualSd(series, series.map(() => mean)) };
+}
+
+/** Upcoming allowance top-ups as `{ date: amount }` for the next `horizon` days. */
+export function scheduledAllowances(platforms, horizon, today = todayKey()) {
+  const end = addDays(today, horizon);
+  const out = {};
+  platforms.filter(hasRenewal).forEach((p) => {
+    const day = Number(p.renewalDay);
+    for (let d = nextRenewal(today, day); d <= end; d = nextRenewal(d, day)) {
+      out[d] = (out[d] || 0) + Number(p.monthlyAllowance);
+    }
+  });
+  return out;
+}
+
+/**
+ * Projects `balance` forward.
+ * `transactions` are the spend history to fit on, `platforms` whose renewals and
+ * `schedules` whose recurring entries apply.
+ * Returns `{ rate, points: [{ date, proj, lo, hi }], depletion: { date, days, earliest, latest } | null }`
+ * where `earliest`/`latest` bound the depletion date (null = beyond the horizon).
+ */
+export function forecastBalance({ balance, transactions, platforms = [], schedules = [], method = "average", window = 30, horizon = 365, today = todayKey() }) {
+  const model = fitSpendModel(dailySpendSeries(transactions, window, today), method);
+  const allowances = scheduledAllowances(platforms, horizon, today);
+  const recurring = scheduledAmounts(schedules, horizon, today);
+  const points = [];
+  let spent = 0, added = 0;
+  let depletion = null, earliest = null, latest = null;
+  for (let h = 1; h <= horizon; h++) {
+    const date = addDays(today, h);
+    spent += model.predict(date, h);
+    added += (allowances[date] || 0) + (recurring[date] || 0);
+    const proj = balance - spent + added;
+    const band = Z80 * model.sd * Math.sqrt(h);
+    const lo = proj - band, hi = proj + band;
+    points.push({ date, proj, lo, hi });
+    if (earliest === null && lo <= 0) earliest = date;
+    if (depletion === null && proj <= 0) depletion = { date, days: h };
+    if (latest === null && hi <= 0) latest = date;
+    if (latest !== null && h >= 30) break;
+  }
+  if (balance <= 0) depletion = { date: today, days: 0 };
+  return {
+    rate: +model.predict(addDays(today, 1), 1).toFixed(2),
+    points,
+    depletion: depletion && { ...depletion, earliest: earliest ?? depletion.date, latest },
+  };
+}
+
+export function daysUntilDepletion(forecast) {
+  return forecast.depletion ? forecast.depletion.days : Infinity;
+}
@@ -0,0 +1,28 @@
+import { describe, expect, it } from "vitest";
+import { makeEntry } from "./ledger.js";
+import { addDays } from "./dates.js";
+import { daysUntilDepletion, forecastBalance } from "./forecast.js";
+
+const TODAY = "2026-05-01";
+const p = { id: "p", name: "Luma", account: "main" };
+const tenADay = Array.from({ length: 30 }).map((_, i) => makeEntry("usage", p, -10, { date: addDays(TODAY, -1 - i) }));
+
+describe("forecastBalance", () => {
+  it("runs a flat burn down to zero", () => {
+    const f = forecastBalance({ balance: 100, transactions: tenADay, today: TODAY });
+    expect(f.rate).toBe(10);
+    expect(daysUntilDepletion(f)).toBe(10);
+    expect(f.depletion.date).toBe("2026-05-11");
+  });
+
+  it("adds scheduled allowances and recurring top-ups", () => {
+    const renewing = { ...p, monthlyAllowance: 100, renewalDay: 5 };
+    expect(daysUntilDepletion(forecastBalance({ balance: 100, transactions: tenADay, platforms: [renewing], today: TODAY }))).toBe(20);
+    const topUp = { id: "x", platformId: "p", amount: 25, cadence: { kind: "daily", interval: 5 }, start: TODAY, paused: false };
+    expect(daysUntilDepletion(forecastBalance({ balance: 100, transactions: tenADay, schedules: [topUp], today: TODAY }))).toBe(18);
+  });
+
+  it("never depletes without spend", () => {
+    expect(daysUntilDepletion(forecastBalance({ balance: 100, transactions: [], today: TODAY }))).toBe(Infinity);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * IndexedDB storage backend
+ *
+ * Transactions are stored one record per entry (keyed by id, indexed by date
+ * and by platform + account); everything else – platforms, projects, schedules,
+ * settings, the schema version – is a single record in `meta`. Saves only
+ * write the entries that changed since the last load/save, which state
+ * updates make cheap to spot: unchanged entries keep their object identity.
+ *
+ * On first run the old localStorage blob (passed in as `legacy`) is read
+ * instead, and retired once it has been written here.
+ */
+
+const DB_NAME = "creditradar";
+const DB_VERSION = 1;
+const META = "meta";
+const TXNS = "transactions";
+const STATE_KEY = "state";
+
+export function indexedDbSupported() {
+  return typeof indexedDB !== "undefined";
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function completion(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted."));
+  });
+}
+
+function openDb() {
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    db.createObjectStore(META);
+    const txns = db.createObjectStore(TXNS, { keyPath: "id" });
+    txns.createIndex("date", "date");
+    txns.createIndex("platform", ["platform", "account"]);
+  };
+  return request(req);
+}
+
+export function indexedDbBackend({ legacy } = {}) {
+  let dbPromise = null;
+  const db = () => dbPromise || (dbPromise = openDb());
+  let saved = new Map(); // id -> entry object as last written
+  let fromLegacy = false;
+  let queue = Promise.resolve();
+
+  async function read() {
+    const tx = (await db()).transaction([META, TXNS], "readonly");
+    const [meta, transactions] = await Promise.all([request(tx.objectStore(META).get(STATE_KEY)), request(tx.objectStore(TXNS).getAll())]);
+    if (!meta) {
+      saved = new Map();
+      fromLegacy = !!legacy;
+      return legacy ? legacy.load() : null;
+    }
+    saved = new Map(transactions.map(t => [t.id, t]));
+    fromLegacy = false;
+    return { ...meta, transactions };
+  }
+
+  async function write(state) {
+    const { transactions = [], ...meta } = state;
+    const tx = (await db()).transaction([META, TXNS], "readwrite");
+    const store = tx.objectStore(TXNS);
+    const next = new Map();
+    transactions.forEach((t) => {
+      next.set(t.id, t);
+      if (saved.get(t.id) !== t) store.put(t);
+    });
+    saved.forEach((_, id) => { if (!next.has(id)) store.delete(id); });
+    tx.objectStore(META).put(meta, STATE_KEY);
+    await completion(tx);
+    saved = next;
+    if (fromLegacy) {
+      fromLegacy = false;
+      legacy.retire();
+    }
+  }
+
+  // Loads and saves run one at a time, in order: a slow write can't land after a newer one, and a load
+  // waits for the saves queued before it instead of reading (and tracking) a half-written ledger.
+  function queued(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return { name: "indexeddb", load: () => queued(read), save: (state) => queued(() => write(state)) };
+}
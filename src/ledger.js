@@ -0,0 +1,146 @@
+import { addDays, todayKey } from "./dates.js";
+
+/**
+ * Ledger helpers
+ *
+ * Platform balances are never stored; they are derived from the transaction
+ * ledger so every number on the dashboard can be traced back to entries.
+ *
+ * Entry types
+ * - "opening":    starting balance posted when a platform is created
+ * - "usage":      logged spend (negative) or top-up (positive) – the default
+ * - "adjustment": manual balance correction from the Edit platform modal
+ * - "allowance":  monthly allowance top-up posted by the renewal engine
+ * - "expiry":     unused allowance written off at renewal
+ *
+ * Two Runway seats are two platforms, told apart by account; name + account
+ * is unique. Entries point at their platform by `platformId` and carry its
+ * name + account as labels (kept in step on rename), plus an optional team
+ * `member`.
+ */
+
+export const TXN_TYPES = ["opening", "usage", "adjustment", "allowance", "expiry"];
+
+export const DEFAULT_ACCOUNT = "main";
+
+export function txnType(t) { return t.type || "usage"; }
+
+/** Logged spend only – opening balances, adjustments and expiries are not burn. */
+export function isSpend(t) { return txnType(t) === "usage" && Number(t.amount) < 0; }
+
+export function accountOf(x) { return String(x?.account ?? "").trim() || DEFAULT_ACCOUNT; }
+
+// Works for both platforms (`name`) and entries (`platform`).
+const nameOf = (x) => x.platform ?? x.name;
+
+/** A platform/account pair by name – what imports and uniqueness checks match on. */
+export function platformKey(x) { return `${nameOf(x)}\u0000${accountOf(x)}`; }
+
+/** "Runway" for the default account, "Runway · studio" otherwise. */
+export function platformLabel(x) {
+  const account = accountOf(x);
+  return account === DEFAULT_ACCOUNT ? nameOf(x) : `${nameOf(x)} · ${account}`;
+}
+
+export const UNASSIGNED = "Unassigned";
+
+/** Team member an entry is attributed to. */
+export function memberOf(t) { return String(t.member ?? "").trim() || UNASSIGNED; }
+
+/** Whether an entry (or schedule) is posted to `platform`; by name + account only when either side has no id yet. */
+export function belongsTo(t, platform) {
+  if (t.platformId && platform.id) return t.platformId === platform.id;
+  return t.platform === platform.name && accountOf(t) === accountOf(platform);
+}
+
+export function balanceOf(transactions, platform) {
+  return transactions.reduce((a, t) => belongsTo(t, platform) ? a + (Number(t.amount) || 0) : a, 0);
+}
+
+/** Balances keyed by platform id. */
+export function balancesByPlatform(transactions) {
+  const out = {};
+  transactions.forEach((t) => { out[t.platformId] = (out[t.platformId] || 0) + (Number(t.amount) || 0); });
+  return out;
+}
+
+/** `platform` is the platform (or any `{ id, name, account }`) the entry is posted to. */
+export function makeEntry(type, platform, amount, extra = {}) {
+  return { id: crypto.randomUUID(), type, platformId: platform.id, platform: platform.name, account: accountOf(platform), amount: Number(amount) || 0, project: "", note: "", date: todayKey(), ...extra };
+}
+
+export function openingEntry(platform, amount, date = todayKey()) {
+  return makeEntry("opening", platform, amount, { note: "Opening balance", date });
+}
+
+export function adjustmentEntry(platform, delta, note = "Manual balance edit") {
+  return makeEntry("adjustment", platform, delta, { note });
+}
+
+/**
+ * Running balance for the last `days` days (oldest first). Entries before the
+ * window are folded into the starting point so the line shows real balances.
+ */
+export function balanceSeries(transactions, days = 14, today = todayKey()) {
+  const keys = Array.from({ length: days }).map((_, i) => addDays(today, i - (days - 1)));
+  const byDay = {};
+  let acc = 0;
+  transactions.forEach((t) => {
+    const amt = Number(t.amount) || 0;
+    if (t.date < keys[0]) acc += amt;
+    else byDay[t.date] = (byDay[t.date] || 0) + amt;
+  });
+  return keys.map((date) => ({ date, bal: (acc += byDay[date] || 0) }));
+}
+
+/**
+ * Older saves stored a mutable `credits` number on each platform. Convert it
+ * into an opening entry so the derived balance matches what was shown before:
+ * opening = stored credits − sum of that platform's existing entries.
+ */
+export function migrateCreditsToLedger(state) {
+  if (!state.platforms.some((p) => "credits" in p)) return state;
+  const openings = [];
+  const platforms = state.platforms.map(({ credits, ...p }) => {
+    // v1 entries have no account yet, so match on name alone.
+    const own = state.transactions.filter((t) => t.platform === p.name);
+    const opening = (Number(credits) || 0) - own.reduce((a, t) => a + (Number(t.amount) || 0), 0);
+    if (opening !== 0) {
+      const first = own.reduce((min, t) => (t.date < min ? t.date : min), todayKey());
+      openings.push(openingEntry(p, opening, first));
+    }
+    return p;
+  });
+  return { ...state, platforms, transactions: [...state.transactions, ...openings] };
+}
+
+/**
+ * v2 entries were attributed by platform name only. Stamp each with the
+ * account of the platform it was posted to so balances stay put now that
+ * name + account identifies a platform.
+ */
+export function migrateEntryAccounts(state) {
+  const accounts = new Map(state.platforms.map(p => [p.name, accountOf(p)]));
+  return {
+    ...state,
+    platforms: state.platforms.map(p => ({ ...p, account: accountOf(p) })),
+    transactions: state.transactions.map(t => (t.account ? t : { ...t, account: accounts.get(t.platform) || DEFAULT_ACCOUNT })),
+  };
+}
+
+/**
+ * v3 entries and schedules pointed at their platform by name + account.
+ * Stamp each with the platform's id so a rename can't orphan it; entries
+ * whose platform is gone stay as they are.
+ */
+export function linkEntriesToPlatforms(state) {
+  const platforms = state.platforms.map(p => (p.id ? p : { ...p, id: crypto.randomUUID() }));
+  const ids = new Map(platforms.map(p => [platformKey(p), p.id]));
+  const link = (t) => (t.platformId || !ids.has(platformKey(t)) ? t : { ...t, platformId: ids.get(platformKey(t)) });
+  return {
+    ...state,
+    platforms,
+    transactions: state.transactions.map(link),
+    ...(state.schedules ? { schedules: state.schedules.map(link) } : {}),
+  };
+}
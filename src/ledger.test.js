@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import { balanceOf, balancesByPlatform, belongsTo, linkEntriesToPlatforms, makeEntry, migrateCreditsToLedger, platformLabel } from "./ledger.js";
+
+const runway = { id: "p1", name: "Runway", account: "main" };
+const studio = { id: "p2", name: "Runway", account: "studio" };
+
+describe("ledger", () => {
+  it("derives balances per platform id", () => {
+    const txns = [
+      makeEntry("opening", runway, 100),
+      makeEntry("usage", runway, -30),
+      makeEntry("usage", studio, -5),
+    ];
+    expect(balancesByPlatform(txns)).toEqual({ p1: 70, p2: -5 });
+    expect(balanceOf(txns, studio)).toBe(-5);
+  });
+
+  it("matches entries by id, so a renamed platform keeps them", () => {
+    const t = makeEntry("usage", runway, -1);
+    expect(belongsTo(t, { ...runway, name: "Runway ML" })).toBe(true);
+    expect(belongsTo(t, studio)).toBe(false);
+  });
+
+  it("labels second seats with their account", () => {
+    expect(platformLabel(runway)).toBe("Runway");
+    expect(platformLabel(studio)).toBe("Runway · studio");
+  });
+
+  it("turns stored credits into an opening entry", () => {
+    const state = migrateCreditsToLedger({
+      platforms: [{ id: "p1", name: "Suno", credits: 500 }],
+      transactions: [{ id: "t", platform: "Suno", amount: -40, date: "2026-01-05" }],
+    });
+    expect(state.platforms[0]).not.toHaveProperty("credits");
+    expect(state.transactions.reduce((a, t) => a + t.amount, 0)).toBe(500);
+    expect(state.transactions[1]).toMatchObject({ type: "opening", amount: 540, date: "2026-01-05" });
+  });
+
+  it("links name-addressed entries and schedules to their platform", () => {
+    const state = linkEntriesToPlatforms({
+      platforms: [runway, studio],
+      transactions: [{ id: "a", platform: "Runway", account: "studio", amount: -1 }, { id: "b", platform: "Gone", account: "main", amount: -1 }],
+      schedules: [{ id: "s", platform: "Runway", account: "main" }],
+    });
+    expect(state.transactions.map(t => t.platformId)).toEqual(["p2", undefined]);
+    expect(state.schedules[0].platformId).toBe("p1");
+  });
+});
@@ -5,3 +5,13 @@ import './index.css'
 
 const root = createRoot(document.getElementById('root'))
 root.render(<App />)
+
+// Offline + installable: the worker caches the built app shell (see public/sw.js).
+// Not for a standalone snapshot file opened from disk, which has no server to register against.
+if (import.meta.env.PROD && 'serviceWorker' in navigator && location.protocol.startsWith('http')) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+      // eslint-disable-next-line no-console
+      .catch(err => console.error('Service worker registration failed:', err))
+  })
+}
@@ -0,0 +1,57 @@
+import { numberLocale } from "./preferences.js";
+
+/**
+ * Credit → money conversion
+ *
+ * A platform is priced by its plan: `planPrice` (in `currency`) buys
+ * `planCredits`. Exchange rates are a hand-maintained table of
+ * "value of 1 unit in USD"; amounts are converted into the display currency
+ * through it. Anything unpriced or without a rate converts to null so totals
+ * can say what they left out instead of guessing.
+ */
+
+export const DEFAULT_CURRENCY = "USD";
+
+// Starting points only – edit them in Settings to match your bank/card rates.
+export const DEFAULT_RATES = { USD: 1, EUR: 1.08, GBP: 1.27 };
+
+export function currencySettings(settings = {}) {
+  return {
+    display: settings.displayCurrency || DEFAULT_CURRENCY,
+    rates: { ...DEFAULT_RATES, ...settings.rates },
+  };
+}
+
+/** Price of one credit in the platform's own currency, or null when unpriced. */
+export function unitPrice(p) {
+  const price = Number(p?.planPrice), credits = Number(p?.planCredits);
+  return price > 0 && credits > 0 ? price / credits : null;
+}
+
+export function convert(amount, from, to, rates) {
+  const f = Number(rates[from]), t = Number(rates[to]);
+  if (!(f > 0) || !(t > 0)) return null;
+  return (amount * f) / t;
+}
+
+/** `credits` of platform `p` expressed in the display currency, or null. */
+export function creditsToMoney(credits, p, settings) {
+  const unit = unitPrice(p);
+  if (unit === null) return null;
+  const { display, rates } = currencySettings(settings);
+  return convert(credits * unit, p.currency || DEFAULT_CURRENCY, display, rates);
+}
+
+/** Sums money values, counting how many inputs could not be converted. */
+export function sumMoney(values) {
+  return values.reduce((acc, v) => (v === null ? { ...acc, missing: acc.missing + 1 } : { ...acc, total: acc.total + v }), { total: 0, missing: 0 });
+}
+
+export function formatMoney(value, currency = DEFAULT_CURRENCY) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return "—";
+  try {
+    return new Intl.NumberFormat(numberLocale(), { style: "currency", currency }).format(value);
+  } catch (e) {
+    return `${value.toFixed(2)} ${currency}`;
+  }
+}
@@ -0,0 +1,101 @@
+import { DEFAULT_ACCOUNT } from "./ledger.js";
+
+/**
+ * Preferences
+ *
+ * Settings that shape defaults and presentation rather than the ledger. The
+ * team shares these, in the ledger's `settings`:
+ *
+ *   { defaultUnit, defaultAccount, forecastWindow, chartDays, presets }
+ *
+ * and each device keeps its own look (see device.js):
+ *
+ *   { theme, locale }
+ *
+ * All are optional; `preferences` and `appearance` fill in the defaults and
+ * ignore values they don't offer. `forecastWindow` is how many days of spend
+ * the burn rate and forecast models look back over, `chartDays` how many the
+ * spend and balance charts show. `locale` formats numbers app-wide once
+ * applied with `configureNumbers` (the browser's when empty).
+ *
+ * `presets` replaces the built-in platform presets once the user edits the
+ * list; until then the built-ins are offered.
+ */
+
+export const FORECAST_WINDOWS = [14, 30, 60, 90];
+export const CHART_RANGES = [7, 14, 30, 60, 90];
+export const THEMES = { dark: "Dark", light: "Light" };
+
+// Examples show the grouping and decimal separator each one uses.
+export const LOCALES = {
+  "": "Browser default",
+  "en-US": "English (US) – 1,234.5",
+  "en-GB": "English (UK) – 1,234.5",
+  "en-IN": "English (India) – 1,23,456.5",
+  "de-DE": "Deutsch – 1.234,5",
+  "fr-FR": "Français – 1 234,5",
+  "es-ES": "Español – 1234,5",
+  "ja-JP": "日本語 – 1,234.5",
+};
+
+export const DEFAULT_PREFERENCES = {
+  defaultUnit: "credits",
+  defaultAccount: DEFAULT_ACCOUNT,
+  forecastWindow: 30,
+  chartDays: 14,
+};
+
+export const DEFAULT_APPEARANCE = { theme: "dark", locale: "" };
+
+// `adapter` is the sync adapter offered for the preset (see sync.js); it stays off until enabled per platform.
+export const BUILTIN_PRESETS = [
+  { key: "Higgsfield", color: "#34d399", adapter: "mock" },
+  { key: "Suno", color: "#60a5fa", adapter: "mock" },
+  { key: "Google Flow", color: "#fbbf24", adapter: "mock" },
+  { key: "Runway", color: "#f472b6", adapter: "mock" },
+  { key: "Pika", color: "#a78bfa", adapter: "mock" },
+  { key: "Luma", color: "#22d3ee", adapter: "mock" },
+];
+
+const text = (v, fallback) => String(v ?? "").trim() || fallback;
+const oneOf = (v, options, fallback) => (options.includes(Number(v)) ? Number(v) : fallback);
+
+export function preferences(settings = {}) {
+  return {
+    defaultUnit: text(settings.defaultUnit, DEFAULT_PREFERENCES.defaultUnit),
+    defaultAccount: text(settings.defaultAccount, DEFAULT_PREFERENCES.defaultAccount),
+    forecastWindow: oneOf(settings.forecastWindow, FORECAST_WINDOWS, DEFAULT_PREFERENCES.forecastWindow),
+    chartDays: oneOf(settings.chartDays, CHART_RANGES, DEFAULT_PREFERENCES.chartDays),
+  };
+}
+
+export function appearance(device = {}) {
+  return {
+    theme: device.theme in THEMES ? device.theme : DEFAULT_APPEARANCE.theme,
+    locale: device.locale in LOCALES ? device.locale : DEFAULT_APPEARANCE.locale,
+  };
+}
+
+export function platformPresets(settings = {}) {
+  return Array.isArray(settings.presets) ? settings.presets : BUILTIN_PRESETS;
+}
+
+export function findPreset(presets, name) {
+  const key = String(name || "").trim().toLowerCase();
+  return presets.find(p => p.key.toLowerCase() === key) || null;
+}
+
+// --- Number formatting ---
+
+let locale;
+
+export function configureNumbers(device) {
+  locale = appearance(device).locale || undefined;
+}
+
+/** The locale numbers are formatted in; undefined means the browser's. */
+export const numberLocale = () => locale;
+
+export function formatNumber(n, options) {
+  return Number(n).toLocaleString(locale, options);
+}
@@ -0,0 +1,40 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { BUILTIN_PRESETS, DEFAULT_APPEARANCE, DEFAULT_PREFERENCES, appearance, configureNumbers, findPreset, formatNumber, platformPresets, preferences } from "./preferences.js";
+import { formatMoney } from "./money.js";
+
+afterEach(() => configureNumbers({}));
+
+describe("preferences", () => {
+  it("fills in defaults", () => {
+    expect(preferences()).toEqual(DEFAULT_PREFERENCES);
+    expect(preferences({ defaultUnit: " secs ", chartDays: "30" })).toMatchObject({ defaultUnit: "secs", chartDays: 30 });
+    expect(appearance({ theme: "light" })).toEqual({ theme: "light", locale: "" });
+  });
+
+  it("ignores values it doesn't offer", () => {
+    expect(preferences({ forecastWindow: 45, chartDays: 0, defaultAccount: "  " })).toEqual(DEFAULT_PREFERENCES);
+    expect(appearance({ theme: "sepia", locale: "xx-YY" })).toEqual(DEFAULT_APPEARANCE);
+  });
+});
+
+describe("platform presets", () => {
+  it("offers the built-ins until the list is edited, even to empty", () => {
+    expect(platformPresets({})).toBe(BUILTIN_PRESETS);
+    expect(platformPresets({ presets: [] })).toEqual([]);
+  });
+
+  it("finds a preset by name, case-insensitively", () => {
+    expect(findPreset(BUILTIN_PRESETS, " google flow ").color).toBe("#fbbf24");
+    expect(findPreset(BUILTIN_PRESETS, "Kling")).toBeNull();
+  });
+});
+
+describe("number locale", () => {
+  it("formats numbers and money in the chosen locale", () => {
+    configureNumbers({ locale: "de-DE" });
+    expect(formatNumber(1234.5)).toBe("1.234,5");
+    expect(formatMoney(1234.5, "EUR")).toMatch(/^1\.234,50\s€$/);
+    configureNumbers({ locale: "en-US" });
+    expect(formatNumber(1234.5)).toBe("1,234.5");
+  });
+});
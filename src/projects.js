@@ -0,0 +1,67 @@
+import { isSpend } from "./ledger.js";
+
+/**
+ * Project spend + budgets
+ *
+ * Projects are the free-text `project` tag on transactions. Budgets live in
+ * `state.projects` as `{ id, name, budget }`, matched to tags by name
+ * (case-insensitive). Only logged spend counts against a budget.
+ */
+
+export const UNTAGGED = "";
+
+const norm = (name) => String(name || "").trim().toLowerCase();
+
+export function findProject(projects = [], name) {
+  const key = norm(name);
+  return projects.find(p => norm(p.name) === key);
+}
+
+/**
+ * Per-project totals, biggest spender first:
+ * `[{ name, spent, count, byPlatform: { [platform]: spent }, last, budget }]`.
+ * Budgeted projects without any spend are included too.
+ */
+export function projectSummaries(transactions, projects = []) {
+  const out = new Map();
+  const row = (name) => {
+    const key = norm(name);
+    if (!out.has(key)) out.set(key, { name: name ? String(name).trim() : UNTAGGED, spent: 0, count: 0, byPlatform: {}, last: null, budget: null });
+    return out.get(key);
+  };
+  transactions.filter(isSpend).forEach((t) => {
+    const r = row(t.project);
+    const amt = Math.abs(Number(t.amount) || 0);
+    r.spent += amt;
+    r.count += 1;
+    r.byPlatform[t.platform] = (r.byPlatform[t.platform] || 0) + amt;
+    if (!r.last || t.date > r.last) r.last = t.date;
+  });
+  projects.forEach((p) => {
+    const r = row(p.name);
+    r.name = p.name;
+    r.budget = Number(p.budget) > 0 ? Number(p.budget) : null;
+  });
+  return [...out.values()].sort((a, b) => b.spent - a.spent);
+}
+
+/**
+ * Ids of spend entries that leave their project over budget, walking each
+ * project's spend in date order – the entry that crosses the line and every
+ * one after it while the project stays over.
+ */
+export function overBudgetIds(transactions, projects = []) {
+  const budgets = new Map(projects.filter(p => Number(p.budget) > 0).map(p => [norm(p.name), Number(p.budget)]));
+  const running = new Map();
+  const flagged = new Set();
+  transactions
+    .filter(t => isSpend(t) && budgets.has(norm(t.project)))
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach((t) => {
+      const key = norm(t.project);
+      const total = (running.get(key) || 0) + Math.abs(Number(t.amount) || 0);
+      running.set(key, total);
+      if (total > budgets.get(key)) flagged.add(t.id);
+    });
+  return flagged;
+}
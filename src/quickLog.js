@@ -0,0 +1,104 @@
+import { DEFAULT_ACCOUNT, accountOf, makeEntry, platformLabel } from "./ledger.js";
+import { dayKey, timeOfDay } from "./dates.js";
+
+/**
+ * Quick logging – per-platform templates, one-line entries and the command
+ * palette's matching.
+ *
+ * Templates live on their platform as `platform.templates`:
+ *
+ *   [{ id, name, amount, project, note }]
+ *
+ * so they follow renames and travel with the platform record. They are
+ * written as "Gen-3 10s shot = -20".
+ *
+ * One-line entries look like "suno -40 NeonShore EP 2 songs": the words
+ * before the first number pick the platform (a name, or "name/account" for a
+ * second seat), the number is the amount as in the transaction form
+ * (negative = spend), and the rest is the project – when it starts with a
+ * known project, or with a "#tag" – followed by the note.
+ */
+
+const norm = (s) => String(s || "").trim().toLowerCase();
+const AMOUNT = /^[+-]?\d+(?:\.\d+)?$/;
+
+/** "Gen-3 10s shot = -20" -> `{ name, amount }`; throws when either part is missing. */
+export function parseTemplate(text) {
+  const m = String(text || "").match(/^(.*?)\s*=\s*([+-]?\d+(?:\.\d+)?)\s*$/);
+  if (!m || !m[1].trim()) throw new Error('Write a template as "name = amount", e.g. "Gen-3 10s shot = -20".');
+  return { name: m[1].trim(), amount: Number(m[2]) };
+}
+
+export function formatTemplate(t) {
+  return `${t.name} = ${t.amount}`;
+}
+
+/** The ledger entry a template posts for `platform` at `at`, attributed to the seat owner. */
+export function templateEntry(platform, template, at = new Date()) {
+  return makeEntry("usage", platform, template.amount, {
+    date: dayKey(at), time: timeOfDay(at), project: template.project || "", note: template.note || template.name, member: platform.member || "",
+  });
+}
+
+// Exact name (main account first), then "name/account", then a unique prefix of the name.
+function findPlatform(platforms, words) {
+  const text = norm(words);
+  if (!text) return null;
+  const [name, account] = text.split("/").map(s => s.trim());
+  const named = platforms.filter(p => norm(p.name) === name);
+  if (account) return named.find(p => norm(accountOf(p)) === account) || null;
+  if (named.length) return named.find(p => accountOf(p) === DEFAULT_ACCOUNT) || named[0];
+  const prefixed = platforms.filter(p => norm(p.name).startsWith(name));
+  return new Set(prefixed.map(p => norm(p.name))).size === 1 ? prefixed[0] : null;
+}
+
+/**
+ * Reads a one-line entry. Returns null when there is no amount, otherwise
+ * `{ platform, amount, project, note, error? }` where `platform` is the matched
+ * platform object (null, with an `error`, when the words match none).
+ */
+export function parseQuickEntry(text, platforms = [], projectNames = []) {
+  const words = String(text || "").trim().split(/\s+/).filter(Boolean);
+  const at = words.findIndex(w => AMOUNT.test(w));
+  if (at < 0) return null;
+  const who = words.slice(0, at).join(" ");
+  const platform = findPlatform(platforms, who);
+  const rest = words.slice(at + 1).join(" ");
+
+  let project = "", note = rest;
+  const known = [...projectNames]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .find(name => norm(rest) === norm(name) || norm(rest).startsWith(`${norm(name)} `));
+  if (known) {
+    project = known;
+    note = rest.slice(known.length).trim();
+  } else if (rest.startsWith("#")) {
+    [project, ...note] = rest.slice(1).split(/\s+/);
+    note = note.join(" ");
+  }
+
+  return {
+    platform,
+    amount: Number(words[at]),
+    project,
+    note,
+    ...(platform ? {} : { error: who ? `No platform matches "${who}".` : "Start with a platform name, e.g. \"suno -40\"." }),
+  };
+}
+
+export function describeQuickEntry(entry) {
+  return [`${platformLabel(entry.platform)} ${entry.amount}`, entry.project, entry.note].filter(Boolean).join(" · ");
+}
+
+/** Palette commands whose label contains every typed word, those starting with the first word first. */
+export function matchCommands(commands, text) {
+  const words = norm(text).split(/\s+/).filter(Boolean);
+  if (!words.length) return commands;
+  const hits = commands.filter((c) => {
+    const label = norm(`${c.group || ""} ${c.label}`);
+    return words.every(w => label.includes(w));
+  });
+  const starts = (c) => norm(c.label).startsWith(words[0]) ? 0 : 1;
+  return hits.map((c, i) => [c, i]).sort((a, b) => starts(a[0]) - starts(b[0]) || a[1] - b[1]).map(([c]) => c);
+}
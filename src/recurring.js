@@ -0,0 +1,143 @@
+import { makeEntry } from "./ledger.js";
+import { addDays, todayKey } from "./dates.js";
+
+/**
+ * Recurring / scheduled transactions
+ *
+ * `state.schedules` holds templates:
+ *
+ *   { id, platformId, platform, account, member, amount, project, note,
+ *     cadence, start, end?, paused, postedThrough }
+ *
+ * and `cadence` is one of
+ * - { kind: "daily",   interval }   every `interval` days from `start`
+ * - { kind: "weekly",  weekdays }   on these days of the week (0 = Sunday)
+ * - { kind: "monthly", day }        on this day of the month (clamped to its length)
+ * - { kind: "cron",    expr }       "min hour day-of-month month day-of-week";
+ *                                   only the date fields matter, entries are daily
+ *
+ * Like allowance renewals, due occurrences are posted as ordinary "usage"
+ * entries on load (tagged with `scheduleId`) and `postedThrough` records the
+ * last date handled (an open app also posts them at midnight, and a restored
+ * backup on restore). Paused schedules post nothing, and resuming does not
+ * back-fill the paused period.
+ */
+
+export const CADENCES = {
+  daily: "Every N days",
+  weekly: "Weekly",
+  monthly: "Monthly",
+  cron: "Cron expression",
+};
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const parts = (key) => {
+  const d = new Date(`${key}T00:00:00Z`);
+  return { day: d.getUTCDate(), month: d.getUTCMonth() + 1, weekday: d.getUTCDay(), last: new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate() };
+};
+
+// One cron field: "*", "5", "1-5", "*/2", "1-10/3" and comma lists of those.
+function cronField(field, min, max) {
+  const allowed = new Set();
+  for (const part of field.split(",")) {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Cannot read "${part}" in the cron expression.`);
+    const from = m[1] === "*" ? min : Number(m[2]);
+    const to = m[1] === "*" ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : from;
+    const step = Number(m[4]) || 1;
+    if (from < min || to > max || from > to) throw new Error(`"${part}" is out of range (${min}–${max}).`);
+    for (let v = from; v <= to; v += step) allowed.add(v);
+  }
+  return { any: field === "*", has: (v) => allowed.has(v) };
+}
+
+/** Parses the date part of a 5-field cron expression; throws with a readable message. */
+export function parseCron(expr) {
+  const fields = String(expr || "").trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error("A cron expression has 5 fields: minute hour day-of-month month day-of-week.");
+  const [, , dom, month, dow] = fields;
+  const days = cronField(dom, 1, 31), months = cronField(month, 1, 12);
+  const weekdays = cronField(dow.replace(/\b7\b/g, "0"), 0, 6);
+  return (key) => {
+    const p = parts(key);
+    if (!months.has(p.month)) return false;
+    // As in cron, when both day fields are restricted either one may match.
+    if (!days.any && !weekdays.any) return days.has(p.day) || weekdays.has(p.weekday);
+    return days.has(p.day) && weekdays.has(p.weekday);
+  };
+}
+
+/** `(dateKey) => boolean` for a schedule's cadence. */
+export function cadenceMatcher(schedule) {
+  const c = schedule.cadence || {};
+  if (c.kind === "weekly") {
+    const days = new Set((c.weekdays || []).map(Number));
+    return (key) => days.has(parts(key).weekday);
+  }
+  if (c.kind === "monthly") {
+    const day = Number(c.day) || 1;
+    return (key) => { const p = parts(key); return p.day === Math.min(day, p.last); };
+  }
+  if (c.kind === "cron") return parseCron(c.expr);
+  const interval = Math.max(1, Number(c.interval) || 1);
+  const origin = Date.parse(`${schedule.start}T00:00:00Z`);
+  return (key) => Math.round((Date.parse(`${key}T00:00:00Z`) - origin) / 86400000) % interval === 0;
+}
+
+/** Occurrence dates in `[from, to]`, within the schedule's own start/end. */
+export function occurrences(schedule, from, to) {
+  const first = schedule.start > from ? schedule.start : from;
+  const last = schedule.end && schedule.end < to ? schedule.end : to;
+  let matches;
+  try { matches = cadenceMatcher(schedule); } catch (e) { return []; } // unreadable cron: nothing is due
+  const out = [];
+  for (let d = first; d <= last; d = addDays(d, 1)) if (matches(d)) out.push(d);
+  return out;
+}
+
+export function describeCadence(c = {}) {
+  if (c.kind === "weekly") return `Weekly on ${(c.weekdays || []).map(d => WEEKDAYS[d]).join(", ") || "—"}`;
+  if (c.kind === "monthly") return `Monthly on day ${c.day}`;
+  if (c.kind === "cron") return `Cron ${c.expr}`;
+  return Number(c.interval) > 1 ? `Every ${c.interval} days` : "Daily";
+}
+
+function entryFor(s, date) {
+  // Derived ids keep browsers that share a ledger from posting the same occurrence twice.
+  return makeEntry("usage", { id: s.platformId, name: s.platform, account: s.account }, s.amount, {
+    id: `sched-${s.id}-${date}`, date, project: s.project || "", note: s.note || "", member: s.member || "", scheduleId: s.id,
+  });
+}
+
+/** Posts every occurrence due up to `today`. Returns the same object when nothing is due. */
+export function applySchedules(state, today = todayKey()) {
+  if (!state.schedules?.length) return state;
+  let transactions = state.transactions;
+  let changed = false;
+  const schedules = state.schedules.map((s) => {
+    if (s.paused || (s.postedThrough && s.postedThrough >= today)) return s;
+    const from = s.postedThrough ? addDays(s.postedThrough, 1) : s.start;
+    const due = occurrences(s, from, today);
+    if (due.length) transactions = [...due.map(d => entryFor(s, d)).reverse(), ...transactions];
+    changed = true;
+    return { ...s, postedThrough: today };
+  });
+  return changed ? { ...state, schedules, transactions } : state;
+}
+
+/** Occurrences after `today` up to `horizon` days ahead: `[{ date, schedule }]`, soonest first. */
+export function upcoming(schedules = [], horizon = 30, today = todayKey()) {
+  const end = addDays(today, horizon);
+  return schedules
+    .filter(s => !s.paused)
+    .flatMap(s => occurrences(s, addDays(today, 1), end).map(date => ({ date, schedule: s })))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/** Net scheduled amount per date for the forecast: `{ date: amount }`. */
+export function scheduledAmounts(schedules = [], horizon = 30, today = todayKey()) {
+  const out = {};
+  upcoming(schedules, horizon, today).forEach(({ date, schedule }) => { out[date] = (out[date] || 0) + Number(schedule.amount); });
+  return out;
+}
@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest";
+import { applySchedules, occurrences, parseCron, upcoming } from "./recurring.js";
+
+const schedule = (cadence, extra = {}) => ({ id: "s", platformId: "p", platform: "Suno", account: "main", amount: -10, cadence, start: "2026-01-01", paused: false, postedThrough: null, ...extra });
+
+describe("occurrences", () => {
+  it("clamps monthly dates to short months", () => {
+    expect(occurrences(schedule({ kind: "monthly", day: 31 }), "2026-01-01", "2026-04-30")).toEqual(["2026-01-31", "2026-02-28", "2026-03-31", "2026-04-30"]);
+  });
+
+  it("repeats every N days from the start", () => {
+    expect(occurrences(schedule({ kind: "daily", interval: 3 }), "2026-01-01", "2026-01-10")).toEqual(["2026-01-01", "2026-01-04", "2026-01-07", "2026-01-10"]);
+  });
+
+  it("reads cron day fields with either-day semantics", () => {
+    const match = parseCron("0 9 1 * 1");
+    expect(match("2026-06-01")).toBe(true); // the 1st
+    expect(match("2026-06-08")).toBe(true); // a Monday
+    expect(match("2026-06-09")).toBe(false);
+  });
+});
+
+describe("applySchedules", () => {
+  it("posts each due occurrence once, with derived ids", () => {
+    const state = { platforms: [], transactions: [], schedules: [schedule({ kind: "weekly", weekdays: [4] })] };
+    const once = applySchedules(state, "2026-01-15");
+    expect(once.transactions.map(t => t.id)).toEqual(["sched-s-2026-01-15", "sched-s-2026-01-08", "sched-s-2026-01-01"]);
+    expect(once.transactions[0]).toMatchObject({ platformId: "p", amount: -10, scheduleId: "s" });
+    expect(applySchedules(once, "2026-01-15")).toBe(once);
+  });
+
+  it("skips paused schedules", () => {
+    const state = { platforms: [], transactions: [], schedules: [schedule({ kind: "daily", interval: 1 }, { paused: true })] };
+    expect(applySchedules(state, "2026-01-15")).toBe(state);
+    expect(upcoming(state.schedules, 7, "2026-01-15")).toEqual([]);
+  });
+});
@@ -0,0 +1,52 @@
+import { txnType } from "./ledger.js";
+import { dayKey, timeOfDay } from "./dates.js";
+import { notificationsSupported } from "./alerts.js";
+import { STORAGE_KEY } from "./storage.js";
+
+/**
+ * Daily "log your usage" reminder
+ *
+ * Opt-in per device (see device.js) via `reminder: { enabled, time: "HH:MM" }`
+ * – teammates sharing the ledger each choose their own. It is due once
+ * the clock passes `time` (in the user's zone) on a day with nothing logged by
+ * hand – entries posted by renewals, schedules or provider sync don't count.
+ * It shows in the alert center until something is logged, and notifies at
+ * most once a day per browser while the app (or the installed PWA) is open.
+ */
+
+export const DEFAULT_REMINDER = { enabled: false, time: "18:00" };
+
+const REMINDED_KEY = `${STORAGE_KEY}.reminded`;
+
+export function reminderSettings(device = {}) {
+  return { ...DEFAULT_REMINDER, ...device.reminder };
+}
+
+export function loggedOn(transactions, day) {
+  return transactions.some(t => t.date === day && txnType(t) === "usage" && !t.scheduleId && t.source !== "sync");
+}
+
+export function reminderDue(device, transactions, now = new Date()) {
+  const { enabled, time } = reminderSettings(device);
+  return enabled && timeOfDay(now) >= time && !loggedOn(transactions, dayKey(now));
+}
+
+/** True the first time it is asked on a given day, then false until the next one. */
+export function takeReminder(day) {
+  if (localStorage.getItem(REMINDED_KEY) === day) return false;
+  localStorage.setItem(REMINDED_KEY, day);
+  return true;
+}
+
+// Through the service worker where there is one, so clicking it can focus the installed app. Rejects when
+// the browser refuses (e.g. permission revoked since the check). The icon URL is absolute so it resolves
+// the same from the page and from the worker under any base path.
+export async function deliverReminder() {
+  if (!notificationsSupported() || Notification.permission !== "granted") return;
+  const title = "CreditRadar: nothing logged today";
+  const icon = new URL(`${import.meta.env.BASE_URL}icon-192.png`, document.baseURI).href;
+  const options = { body: "Log today's usage so balances and forecasts stay right.", tag: "log-reminder", icon };
+  const registration = "serviceWorker" in navigator ? await navigator.serviceWorker.getRegistration() : null;
+  if (registration) return registration.showNotification(title, options);
+  new Notification(title, options);
+}
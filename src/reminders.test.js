@@ -0,0 +1,59 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { configureDates } from "./dates.js";
+import { makeEntry } from "./ledger.js";
+import { deliverReminder, reminderDue, takeReminder } from "./reminders.js";
+
+afterEach(() => configureDates({}));
+
+const suno = { id: "s", name: "Suno", account: "main" };
+const EVENING = new Date("2026-03-02T19:30:00Z");
+const on = (transactions, reminder = { enabled: true, time: "18:00" }) => [{ reminder }, transactions];
+
+describe("reminderDue", () => {
+  it("is off unless enabled", () => {
+    expect(reminderDue(...on([], { enabled: false }), EVENING)).toBe(false);
+  });
+
+  it("waits for the reminder time in the user's zone", () => {
+    configureDates({ timeZone: "UTC" });
+    expect(reminderDue(...on([]), EVENING)).toBe(true);
+    expect(reminderDue(...on([]), new Date("2026-03-02T17:59:00Z"))).toBe(false);
+    configureDates({ timeZone: "America/New_York" }); // 14:30 there
+    expect(reminderDue(...on([]), EVENING)).toBe(false);
+  });
+
+  it("is satisfied only by entries logged by hand today", () => {
+    configureDates({ timeZone: "UTC" });
+    const posted = [
+      makeEntry("allowance", suno, 500, { date: "2026-03-02" }),
+      makeEntry("usage", suno, -10, { date: "2026-03-02", scheduleId: "x" }),
+      makeEntry("usage", suno, -10, { date: "2026-03-02", source: "sync" }),
+      makeEntry("usage", suno, -10, { date: "2026-03-01" }),
+    ];
+    expect(reminderDue(...on(posted), EVENING)).toBe(true);
+    expect(reminderDue(...on([...posted, makeEntry("usage", suno, -40, { date: "2026-03-02" })]), EVENING)).toBe(false);
+  });
+});
+
+describe("takeReminder", () => {
+  it("fires once per day", () => {
+    expect(takeReminder("2026-03-02")).toBe(true);
+    expect(takeReminder("2026-03-02")).toBe(false);
+    expect(takeReminder("2026-03-03")).toBe(true);
+  });
+});
+
+describe("deliverReminder", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    delete navigator.serviceWorker;
+  });
+
+  it("shows it through the service worker with an absolute icon, and passes on a refusal", async () => {
+    vi.stubGlobal("Notification", { permission: "granted" });
+    const showNotification = vi.fn().mockRejectedValue(new TypeError("No permission"));
+    Object.defineProperty(navigator, "serviceWorker", { value: { getRegistration: async () => ({ showNotification }) }, configurable: true });
+    await expect(deliverReminder()).rejects.toThrow("No permission");
+    expect(showNotification.mock.calls[0][1].icon).toBe(new URL("/icon-192.png", document.baseURI).href);
+  });
+});
@@ -0,0 +1,90 @@
+import { balanceOf, belongsTo, makeEntry } from "./ledger.js";
+import { todayKey } from "./dates.js";
+
+/**
+ * Monthly allowance renewals
+ *
+ * A platform with `monthlyAllowance > 0` and a `renewalDay` (1–31, clamped to
+ * the month's length) receives an "allowance" entry on each renewal date.
+ * `renewedThrough` is the last renewal date already posted, so reopening the
+ * app only posts the periods missed since then.
+ *
+ * Unused allowance at renewal is handled by `rollover`:
+ * - "keep":   everything carries over (default)
+ * - "expire": what is left of the previous allowance is written off
+ * - "cap":    up to `rolloverCap` carries over, the rest is written off
+ * Write-offs are posted as "expiry" entries dated on the renewal day.
+ */
+
+export const ROLLOVER_POLICIES = ["keep", "expire", "cap"];
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function renewalDateIn(year, month, day) {
+  const last = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return `${year}-${pad(month + 1)}-${pad(Math.min(day, last))}`;
+}
+
+/** First renewal date strictly after `key`. */
+export function nextRenewal(key, day) {
+  const [y, m] = key.split("-").map(Number);
+  const same = renewalDateIn(y, m - 1, day);
+  return same > key ? same : renewalDateIn(m === 12 ? y + 1 : y, m % 12, day);
+}
+
+/** Latest renewal date on or before `key`. */
+export function lastRenewal(key, day) {
+  const [y, m] = key.split("-").map(Number);
+  const same = renewalDateIn(y, m - 1, day);
+  return same <= key ? same : renewalDateIn(m === 1 ? y - 1 : y, (m + 10) % 12, day);
+}
+
+export function hasRenewal(p) {
+  return Number(p.monthlyAllowance) > 0 && Number(p.renewalDay) >= 1;
+}
+
+/**
+ * Starts the renewal cursor for a platform that just got an allowance, so the
+ * first top-up lands on the next renewal date rather than back-filling history.
+ */
+export function withRenewalCursor(p, today = todayKey()) {
+  if (!hasRenewal(p) || p.renewedThrough) return p;
+  return { ...p, renewedThrough: lastRenewal(today, Number(p.renewalDay)) };
+}
+
+function expiredAmount(p, balance, granted) {
+  const unused = Math.max(0, Math.min(balance, granted));
+  if (p.rollover === "expire") return unused;
+  if (p.rollover === "cap") return Math.max(0, unused - (Number(p.rolloverCap) || 0));
+  return 0;
+}
+
+/** Posts every renewal (and expiry) due up to `today`. Returns the same object when nothing is due. */
+export function applyRenewals(state, today = todayKey()) {
+  let transactions = state.transactions;
+  let changed = false;
+  const platforms = state.platforms.map((p0) => {
+    if (!hasRenewal(p0)) return p0;
+    const p = withRenewalCursor(p0, today);
+    if (p !== p0) changed = true;
+    const day = Number(p.renewalDay);
+    const allowance = Number(p.monthlyAllowance);
+    let cursor = p.renewedThrough;
+    for (let d = nextRenewal(cursor, day); d <= today; d = nextRenewal(d, day)) {
+      const prev = cursor;
+      // Only an allowance we posted ourselves can expire; purchased credits never do.
+      const granted = transactions.some(t => t.type === "allowance" && belongsTo(t, p) && t.date === prev) ? allowance : 0;
+      const before = balanceOf(transactions.filter(t => t.date < d), p);
+      const expired = expiredAmount(p, before, granted);
+      // Ids are derived from platform + date so every browser sharing a ledger posts the same entries.
+      const posted = [makeEntry("allowance", p, allowance, { id: `allowance-${p.id}-${d}`, date: d, note: "Monthly allowance" })];
+      if (expired > 0) posted.unshift(makeEntry("expiry", p, -expired, { id: `expiry-${p.id}-${d}`, date: d, note: "Unused allowance expired" }));
+      transactions = [...posted, ...transactions];
+      cursor = d;
+    }
+    if (cursor === p.renewedThrough) return p;
+    changed = true;
+    return { ...p, renewedThrough: cursor };
+  });
+  return changed ? { ...state, platforms, transactions } : state;
+}
@@ -0,0 +1,173 @@
+import { accountOf, platformKey, platformLabel } from "./ledger.js";
+import { cadenceMatcher } from "./recurring.js";
+import { isTime } from "./dates.js";
+
+/**
+ * Validation for everything typed into a form or read from an import
+ *
+ * Each `check*` takes raw input and returns `{ value, errors }`: `value` is
+ * the normalised record (trimmed strings, numbers coerced, platform labels
+ * filled in from `platformId`) and `errors` maps a field to a message for
+ * display next to it – `{}` when the input is fine. Importers show
+ * `firstError` as the row's reason instead.
+ */
+
+export const hasErrors = (errors) => Object.keys(errors).length > 0;
+
+export const firstError = (errors) => Object.values(errors)[0] || null;
+
+const trim = (v) => String(v ?? "").trim();
+
+/** A real calendar day as `YYYY-MM-DD`. */
+export function isDateKey(v) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(v || ""))) return false;
+  const d = new Date(`${v}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v;
+}
+
+// [field, label, min, max]; fields missing from the input are not checked.
+const PLATFORM_NUMBERS = [
+  ["credits", "Balance", -Infinity, Infinity],
+  ["monthlyAllowance", "Monthly allowance", 0, Infinity],
+  ["renewalDay", "Renewal day", 1, 31],
+  ["rolloverCap", "Rollover cap", 0, Infinity],
+  ["planPrice", "Plan price", 0, Infinity],
+  ["planCredits", "Plan credits", 0, Infinity],
+];
+
+const ALERT_NUMBERS = [
+  ["minBalance", 0, Infinity],
+  ["minPercent", 0, 100],
+  ["minDays", 0, Infinity],
+];
+
+function checkNumber(errors, field, label, v, min, max) {
+  const n = Number(v);
+  if (v === "" || v === null || !Number.isFinite(n)) errors[field] = `${label} must be a number.`;
+  else if (n < min || n > max) errors[field] = max === Infinity ? `${label} can't be below ${min}.` : `${label} must be between ${min} and ${max}.`;
+  return n;
+}
+
+/**
+ * A new or edited platform. Name + account must be unique among `platforms`
+ * (ignoring the one with `exceptId`), case-insensitively; the platform it
+ * collides with is returned as `clash` (null when there is none).
+ */
+export function checkPlatform(input, platforms = [], exceptId) {
+  const errors = {};
+  const value = { ...input, name: trim(input.name), account: accountOf(input), member: trim(input.member) };
+  const clash = (value.name && platforms.find(p => p.id !== exceptId && platformKey(p).toLowerCase() === platformKey(value).toLowerCase())) || null;
+  if (!value.name) errors.name = "Name is required.";
+  else if (clash) errors.name = `${platformLabel(clash)} already exists. Use a different account name for another seat.`;
+  PLATFORM_NUMBERS.forEach(([field, label, min, max]) => {
+    if (field in input) value[field] = checkNumber(errors, field, label, input[field], min, max);
+  });
+  if (value.color && !/^#[0-9a-f]{6}$/i.test(value.color)) errors.color = "Pick a color.";
+  if (input.alerts) {
+    ALERT_NUMBERS.forEach(([field, min, max]) => {
+      const v = input.alerts[field];
+      if (v !== "" && v !== undefined) checkNumber(errors, `alerts.${field}`, "Threshold", v, min, max);
+    });
+  }
+  return { value, errors, clash };
+}
+
+function checkPlatformRef(errors, input, platforms) {
+  const platform = platforms.find(p => p.id === input.platformId);
+  if (!platform) errors.platform = "Pick a platform.";
+  return platform ? { platformId: platform.id, platform: platform.name, account: accountOf(platform) } : {};
+}
+
+function checkAmount(errors, v) {
+  const n = Number(v);
+  if (v === "" || !Number.isFinite(n) || n === 0) errors.amount = "Amount must be a number other than 0 (negative = spend).";
+  return n;
+}
+
+/** A transaction from the form: `{ platformId, amount, date, time, member, project, note }`; `time` may be empty. */
+export function checkTransaction(input, platforms = []) {
+  const errors = {};
+  const value = {
+    ...input,
+    ...checkPlatformRef(errors, input, platforms),
+    amount: checkAmount(errors, input.amount),
+    member: trim(input.member),
+    project: trim(input.project),
+    note: trim(input.note),
+    time: trim(input.time),
+  };
+  if (!isDateKey(input.date)) errors.date = "Pick a valid date.";
+  if (value.time && !isTime(value.time)) errors.time = "Pick a valid time, or leave it empty.";
+  return { value, errors };
+}
+
+/** A recurring schedule (see recurring.js): the transaction fields plus cadence, start and end. */
+export function checkSchedule(input, platforms = []) {
+  const errors = {};
+  const value = {
+    ...input,
+    ...checkPlatformRef(errors, input, platforms),
+    amount: checkAmount(errors, input.amount),
+    member: trim(input.member),
+    project: trim(input.project),
+    note: trim(input.note),
+    end: input.end || "",
+  };
+  if (!isDateKey(input.start)) errors.start = "Pick a start date.";
+  if (value.end && !isDateKey(value.end)) errors.end = "Pick a valid end date.";
+  else if (value.end && value.end < input.start) errors.end = "The end date is before the start date.";
+  const c = input.cadence || {};
+  if (c.kind === "weekly" && !(c.weekdays || []).length) errors.cadence = "Pick at least one weekday.";
+  else if (c.kind === "daily" && !(Number(c.interval) >= 1)) errors.cadence = "Repeat at least every 1 day.";
+  else if (c.kind === "monthly" && !(Number(c.day) >= 1 && Number(c.day) <= 31)) errors.cadence = "Day of month must be between 1 and 31.";
+  else {
+    try { cadenceMatcher(input); } catch (e) { errors.cadence = e.message; }
+  }
+  return { value, errors };
+}
+
+/** An imported row, which names its platform instead of pointing at one. */
+export function checkImportRow(row) {
+  const errors = {};
+  if (!row.date) errors.date = "Unreadable date";
+  if (!Number.isFinite(row.amount)) errors.amount = "Unreadable amount";
+  if (!trim(row.platform)) errors.platform = "No platform";
+  return { value: row, errors };
+}
+
+/** A project budget from the Projects view. */
+export function checkBudget({ name, budget }) {
+  const errors = {};
+  if (!trim(name)) errors.name = "Enter a project name.";
+  if (!(Number(budget) > 0)) errors.budget = "Enter a budget above 0.";
+  return { value: { name: trim(name), budget: Number(budget) }, errors };
+}
+
+/**
+ * A platform preset from Settings: name (unique among `presets`, ignoring the
+ * one at `exceptIndex`), color, unit and monthly allowance.
+ */
+export function checkPreset(input, presets = [], exceptIndex = -1) {
+  const errors = {};
+  const value = { ...input, key: trim(input.key), unit: trim(input.unit), color: trim(input.color) };
+  if (!value.key) errors.key = "Name is required.";
+  else if (presets.some((p, i) => i !== exceptIndex && p.key.toLowerCase() === value.key.toLowerCase())) errors.key = `A preset named ${value.key} already exists.`;
+  if (!/^#[0-9a-f]{6}$/i.test(value.color)) errors.color = "Pick a color.";
+  value.monthlyAllowance = checkNumber(errors, "monthlyAllowance", "Monthly allowance", input.monthlyAllowance ?? 0, 0, Infinity);
+  return { value, errors };
+}
+
+/** An exchange rate from Settings. */
+export function checkRate({ code, rate }) {
+  const errors = {};
+  const c = trim(code).toUpperCase();
+  if (!/^[A-Z]{3}$/.test(c)) errors.code = "Use a 3-letter currency code.";
+  if (!(Number(rate) > 0)) errors.rate = "Enter a rate above 0.";
+  return { value: { code: c, rate: Number(rate) }, errors };
+}
+
+export function checkServer({ url, token }) {
+  const errors = {};
+  if (!/^https?:\/\/\S+$/.test(trim(url))) errors.url = "Enter the server's http(s) URL.";
+  return { value: { url: trim(url), token: trim(token) }, errors };
+}
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { checkImportRow, checkPlatform, checkPreset, checkSchedule, checkTransaction, hasErrors } from "./schema.js";
+
+const platforms = [{ id: "p1", name: "Runway", account: "main" }, { id: "p2", name: "Runway", account: "studio" }];
+
+describe("checkPlatform", () => {
+  it("requires a name and trims it", () => {
+    expect(checkPlatform({ name: "  " }, platforms).errors.name).toBe("Name is required.");
+    expect(checkPlatform({ name: " Luma " }, platforms)).toEqual({ value: { name: "Luma", account: "main", member: "" }, errors: {}, clash: null });
+  });
+
+  it("rejects a name + account that is taken, except by the platform itself", () => {
+    expect(checkPlatform({ name: "runway", account: "Studio" }, platforms).errors.name).toMatch(/^Runway · studio already exists/);
+    expect(checkPlatform({ name: "runway", account: "Studio" }, platforms).clash).toBe(platforms[1]);
+    expect(hasErrors(checkPlatform({ name: "Runway", account: "studio" }, platforms, "p2").errors)).toBe(false);
+  });
+
+  it("range-checks numbers and alert thresholds", () => {
+    const { errors } = checkPlatform({ name: "Luma", monthlyAllowance: -1, renewalDay: 32, alerts: { minPercent: 120, minDays: "" } }, platforms);
+    expect(Object.keys(errors)).toEqual(["monthlyAllowance", "renewalDay", "alerts.minPercent"]);
+  });
+});
+
+describe("checkTransaction", () => {
+  it("fills in the platform labels from its id", () => {
+    const { value, errors } = checkTransaction({ platformId: "p2", amount: -5, date: "2026-01-31", note: " x " }, platforms);
+    expect(errors).toEqual({});
+    expect(value).toMatchObject({ platform: "Runway", account: "studio", amount: -5, note: "x" });
+  });
+
+  it("flags a missing platform, a zero amount and an impossible date", () => {
+    expect(Object.keys(checkTransaction({ platformId: "gone", amount: 0, date: "2026-02-30" }, platforms).errors)).toEqual(["platform", "amount", "date"]);
+  });
+});
+
+describe("checkSchedule", () => {
+  const base = { platformId: "p1", amount: -10, start: "2026-01-01", cadence: { kind: "monthly", day: 1 } };
+
+  it("accepts a sound schedule", () => {
+    expect(checkSchedule(base, platforms).errors).toEqual({});
+  });
+
+  it("explains cadence and date problems", () => {
+    expect(checkSchedule({ ...base, cadence: { kind: "weekly", weekdays: [] } }, platforms).errors.cadence).toBe("Pick at least one weekday.");
+    expect(checkSchedule({ ...base, cadence: { kind: "cron", expr: "0 9 * *" } }, platforms).errors.cadence).toMatch(/5 fields/);
+    expect(checkSchedule({ ...base, end: "2025-12-31" }, platforms).errors.end).toMatch(/before the start/);
+  });
+});
+
+describe("checkPreset", () => {
+  const presets = [{ key: "Suno", color: "#60a5fa" }];
+
+  it("needs a unique name and a color", () => {
+    expect(checkPreset({ key: " suno ", color: "#123456" }, presets).errors.key).toBe("A preset named suno already exists.");
+    expect(hasErrors(checkPreset({ key: "Suno", color: "#123456" }, presets, 0).errors)).toBe(false);
+    expect(checkPreset({ key: "Kling", color: "red", monthlyAllowance: -5 }, presets).errors).toEqual({ color: "Pick a color.", monthlyAllowance: "Monthly allowance can't be below 0." });
+  });
+
+  it("trims the name and coerces the allowance", () => {
+    expect(checkPreset({ key: " Kling ", color: "#123456", unit: " secs ", monthlyAllowance: "660" }, presets).value).toEqual({ key: "Kling", color: "#123456", unit: "secs", monthlyAllowance: 660 });
+  });
+});
+
+describe("checkImportRow", () => {
+  it("gives the first reason a row can't be imported", () => {
+    expect(checkImportRow({ date: "2026-01-01", amount: NaN, platform: "" }).errors).toEqual({ amount: "Unreadable amount", platform: "No platform" });
+  });
+});
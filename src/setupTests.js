@@ -0,0 +1,19 @@
+import { afterEach } from "vitest";
+import { cleanup } from "@testing-library/react";
+import { configureDates } from "./dates.js";
+
+// The app applies this device's time zone module-wide; the next test starts from the browser's again.
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+  configureDates({});
+});
+
+// recharts' ResponsiveContainer watches its size; jsdom has no layout to report.
+if (!globalThis.ResizeObserver) {
+  globalThis.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+}
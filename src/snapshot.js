@@ -0,0 +1,144 @@
+import { balanceOf, belongsTo, openingEntry } from "./ledger.js";
+import { addDays, currentDateSettings, todayKey } from "./dates.js";
+import { SCHEMA_VERSION, migrate } from "./storage.js";
+
+/**
+ * Read-only snapshots
+ *
+ * A snapshot is a copy of some platforms and their entries that opens the
+ * dashboard without any way to edit it – for people who should see what is
+ * left, not change the ledger. It travels either as a link,
+ *
+ *   https://…/#snapshot=1.<base64url of deflated JSON>
+ *
+ * or as a standalone HTML file that carries the built app and the same token,
+ * so it opens from disk without a server.
+ *
+ * Sync settings and quick-log templates are never included. Entries older than
+ * the chosen window are folded into one opening entry per platform, which
+ * keeps balances exact and links short.
+ */
+
+const FORMAT = "1";
+const HASH_KEY = "snapshot";
+export const EMBED_ID = "creditradar-snapshot";
+
+// Settings that change how the numbers read; notifications, reminders etc. stay private.
+const SHARED_SETTINGS = ["displayCurrency", "rates", "forecastMethod", "forecastWindow", "chartDays"];
+
+/**
+ * `options`: `{ platformIds, days?, redactNotes? }`. `days` limits the entries
+ * to that many days back (older ones are summed into an opening entry); leave
+ * it out for the whole history. Redacting clears notes on entries and schedules.
+ */
+export function makeSnapshot(state, { platformIds, days = null, redactNotes = false }, today = todayKey()) {
+  const ids = new Set(platformIds);
+  const platforms = state.platforms
+    .filter(p => ids.has(p.id))
+    .map(({ sync, templates, ...p }) => p);
+  const redact = (x) => (redactNotes ? { ...x, note: "" } : x);
+  const since = days ? addDays(today, 1 - days) : null;
+
+  const transactions = platforms.flatMap((p) => {
+    const own = state.transactions.filter(t => belongsTo(t, p));
+    if (!since) return own.map(redact);
+    const older = own.filter(t => t.date < since);
+    const carried = balanceOf(older, p);
+    const kept = own.filter(t => t.date >= since).map(redact);
+    return carried ? [...kept, { ...openingEntry(p, carried, addDays(since, -1)), note: "Balance brought forward" }] : kept;
+  });
+
+  // The sharer's time zone and week start (a device setting) go along, so "today" and the charts match `takenOn`.
+  const settings = {
+    ...Object.fromEntries(SHARED_SETTINGS.filter(k => state.settings?.[k] !== undefined).map(k => [k, state.settings[k]])),
+    ...currentDateSettings(),
+  };
+  return {
+    takenOn: today,
+    state: {
+      version: SCHEMA_VERSION,
+      platforms,
+      transactions,
+      schedules: (state.schedules || []).filter(s => platforms.some(p => belongsTo(s, p))).map(redact),
+      settings,
+    },
+  };
+}
+
+// --- Encoding ---
+
+function toBase64Url(bytes) {
+  let bin = "";
+  bytes.forEach((b) => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+const pipe = (data, transform) => new Response(new Response(data).body.pipeThrough(transform));
+
+export async function encodeSnapshot(snapshot) {
+  const deflated = await pipe(JSON.stringify(snapshot), new CompressionStream("deflate-raw")).arrayBuffer();
+  return `${FORMAT}.${toBase64Url(new Uint8Array(deflated))}`;
+}
+
+/** The snapshot in `token`, its state brought up to the current schema; throws a readable error otherwise. */
+export async function decodeSnapshot(token) {
+  const [format, body] = String(token).split(".");
+  if (format !== FORMAT || !body) throw new Error("This snapshot was made by a newer CreditRadar, or the link is incomplete.");
+  let snapshot;
+  try {
+    snapshot = JSON.parse(await pipe(fromBase64Url(body), new DecompressionStream("deflate-raw")).text());
+  } catch (e) {
+    throw new Error("This snapshot link is damaged or incomplete.");
+  }
+  return { ...snapshot, state: migrate(snapshot.state) };
+}
+
+// --- Links and files ---
+
+export function snapshotUrl(token, base = window.location.href) {
+  const url = new URL(base);
+  url.hash = `${HASH_KEY}=${token}`;
+  return url.href;
+}
+
+/** The token this page was opened with – from the link, or embedded in a standalone file – or null. */
+export function openedSnapshot(doc = document) {
+  const hash = new URLSearchParams(doc.location.hash.slice(1)).get(HASH_KEY);
+  if (hash) return hash;
+  return doc.getElementById(EMBED_ID)?.textContent.trim() || null;
+}
+
+/**
+ * A single HTML file with the built app's stylesheets and scripts inlined and
+ * `token` embedded. Only works from a production build, where the app is one
+ * self-contained module.
+ */
+export async function standaloneHtml(token, doc = document) {
+  const text = (url) => fetch(url).then((res) => {
+    if (!res.ok) throw new Error(`Could not read ${url} (${res.status}).`);
+    return res.text();
+  });
+  const styles = await Promise.all([...doc.querySelectorAll('link[rel="stylesheet"]')].map(l => text(l.href)));
+  const scripts = await Promise.all([...doc.querySelectorAll('script[type="module"][src]')].map(s => text(s.src)));
+  const inline = (code) => code.replace(/<\/script/gi, "<\\/script");
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>CreditRadar snapshot</title>
+    <style>${styles.join("\n")}</style>
+  </head>
+  <body class="bg-zinc-950">
+    <div id="root"></div>
+    <script type="application/json" id="${EMBED_ID}">${token}</script>
+    ${scripts.map(code => `<script type="module">${inline(code)}</script>`).join("\n    ")}
+  </body>
+</html>
+`;
+}
@@ -0,0 +1,78 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { configureDates } from "./dates.js";
+import { balanceOf, makeEntry } from "./ledger.js";
+import { EMBED_ID, decodeSnapshot, encodeSnapshot, makeSnapshot, openedSnapshot } from "./snapshot.js";
+
+const runway = { id: "p1", name: "Runway", account: "main", sync: { adapter: "mock", enabled: true }, templates: [{ id: "t", name: "Shot", amount: -10 }] };
+const pika = { id: "p2", name: "Pika", account: "main" };
+const state = {
+  platforms: [runway, pika],
+  transactions: [
+    makeEntry("opening", runway, 1000, { date: "2026-01-01" }),
+    makeEntry("usage", runway, -100, { date: "2026-01-20", note: "old shots" }),
+    makeEntry("usage", runway, -50, { date: "2026-03-01", note: "client cut" }),
+    makeEntry("opening", pika, 300, { date: "2026-01-01" }),
+  ],
+  schedules: [{ id: "s", platformId: "p2", platform: "Pika", account: "main", amount: -5, note: "daily", cadence: "daily" }],
+  settings: { displayCurrency: "EUR", notifications: true, reminder: { enabled: true, time: "18:00" } },
+};
+
+afterEach(() => {
+  window.location.hash = "";
+  configureDates({});
+});
+
+describe("makeSnapshot", () => {
+  it("keeps only the chosen platforms, without sync settings or templates", () => {
+    configureDates({ timeZone: "Europe/Berlin", weekStart: 0 });
+    const { takenOn, state: shared } = makeSnapshot(state, { platformIds: ["p1"] }, "2026-03-02");
+    expect(takenOn).toBe("2026-03-02");
+    expect(shared.platforms).toEqual([{ id: "p1", name: "Runway", account: "main" }]);
+    expect(shared.transactions).toHaveLength(3);
+    expect(shared.schedules).toEqual([]);
+    expect(shared.settings).toEqual({ displayCurrency: "EUR", timeZone: "Europe/Berlin", weekStart: 0 });
+  });
+
+  it("folds entries before the window into one opening balance", () => {
+    const { state: shared } = makeSnapshot(state, { platformIds: ["p1", "p2"], days: 30 }, "2026-03-02");
+    const carried = shared.transactions.filter(t => t.note === "Balance brought forward");
+    expect(carried.map(t => [t.platformId, t.amount, t.date])).toEqual([["p1", 900, "2026-01-31"], ["p2", 300, "2026-01-31"]]);
+    expect(balanceOf(shared.transactions, runway)).toBe(850);
+    expect(shared.transactions.some(t => t.note === "old shots")).toBe(false);
+  });
+
+  it("redacts notes on entries and schedules", () => {
+    const { state: shared } = makeSnapshot(state, { platformIds: ["p1", "p2"], redactNotes: true }, "2026-03-02");
+    expect(shared.transactions.every(t => !t.note)).toBe(true);
+    expect(shared.schedules[0].note).toBe("");
+  });
+});
+
+describe("encoding", () => {
+  it("round-trips through a URL-safe token", async () => {
+    const snapshot = makeSnapshot(state, { platformIds: ["p1"] }, "2026-03-02");
+    const token = await encodeSnapshot(snapshot);
+    expect(token).toMatch(/^1\.[\w-]+$/);
+    const opened = await decodeSnapshot(token);
+    expect(opened.takenOn).toBe("2026-03-02");
+    expect(opened.state.transactions).toEqual(snapshot.state.transactions);
+  });
+
+  it("rejects damaged or unknown tokens with a readable error", async () => {
+    const token = await encodeSnapshot(makeSnapshot(state, { platformIds: ["p1"] }, "2026-03-02"));
+    await expect(decodeSnapshot(token.slice(0, 20))).rejects.toThrow(/damaged or incomplete/);
+    await expect(decodeSnapshot(`9.${token.slice(2)}`)).rejects.toThrow(/newer CreditRadar/);
+  });
+});
+
+describe("openedSnapshot", () => {
+  it("reads the link fragment, then an embedded token", () => {
+    expect(openedSnapshot()).toBeNull();
+    const embed = Object.assign(document.createElement("script"), { type: "application/json", id: EMBED_ID, textContent: " 1.embedded " });
+    document.body.appendChild(embed);
+    expect(openedSnapshot()).toBe("1.embedded");
+    window.location.hash = "#snapshot=1.linked";
+    expect(openedSnapshot()).toBe("1.linked");
+    embed.remove();
+  });
+});
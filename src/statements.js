@@ -0,0 +1,110 @@
+import { belongsTo, isSpend, platformLabel, txnType } from "./ledger.js";
+import { addDays, momentOf, todayKey } from "./dates.js";
+import { entryCost } from "./dashboard.js";
+import { sumMoney } from "./money.js";
+
+/**
+ * Monthly statements
+ *
+ * One calendar month per platform, for invoicing:
+ *
+ *   opening balance
+ *   + allowances + top-ups ± adjustments (incl. opening entries posted that month) − expired
+ *   − spend, itemised by project
+ *   = closing balance
+ *
+ * Narrowed to one project, a statement lists only that project's spend and
+ * leaves balances out – they belong to the whole platform. Costs are in the
+ * display currency; entries on unpriced platforms are counted in `missing`.
+ */
+
+export const NO_PROJECT = "No project";
+
+const norm = (name) => String(name || "").trim().toLowerCase();
+
+export const monthOf = (key) => key.slice(0, 7);
+
+/** First and last day of a `YYYY-MM` month. */
+export function monthRange(month) {
+  const [y, m] = month.split("-").map(Number);
+  const next = m === 12 ? `${y + 1}-01-01` : `${y}-${String(m + 1).padStart(2, "0")}-01`;
+  return { from: `${month}-01`, to: addDays(next, -1) };
+}
+
+export function monthLabel(month) {
+  return new Date(`${month}-01T00:00:00Z`).toLocaleDateString(undefined, { month: "long", year: "numeric", timeZone: "UTC" });
+}
+
+/** Months that have entries, newest first; the current month is always offered. */
+export function statementMonths(transactions, today = todayKey()) {
+  return [...new Set([monthOf(today), ...transactions.map(t => monthOf(t.date))])].sort().reverse();
+}
+
+// Which statement line a non-spend entry belongs on.
+function lineOf(t) {
+  const type = txnType(t);
+  if (type === "allowance") return "allowances";
+  if (type === "expiry") return "expired";
+  if (type === "usage") return "topUps";
+  return "adjustments";
+}
+
+const LINES = ["opening", "allowances", "topUps", "adjustments", "expired", "spent", "closing"];
+
+/**
+ * `options`: `{ month: "YYYY-MM", platformId?, project? }`; a missing
+ * `platformId` or `project` means all of them, and `project: ""` selects
+ * untagged spend. Returns
+ *
+ *   { month, from, to, platformId, project, platforms: [{ platform, ...lines, active, cost, projects }], totals }
+ *
+ * where `projects` is `[{ name, spent, cost, entries: [{ ...entry, cost }] }]`,
+ * biggest first, and each cost is `{ total, missing }` as in `sumMoney`.
+ */
+export function buildStatement(state, { month, platformId = null, project = null }) {
+  const { from, to } = monthRange(month);
+  const byId = Object.fromEntries(state.platforms.map(p => [p.id, p]));
+  const costOf = (t) => entryCost(t, byId, state.settings);
+  const inProject = (t) => project === null || norm(t.project) === norm(project);
+
+  const platforms = state.platforms
+    .filter(p => platformId === null || p.id === platformId)
+    .map((p) => {
+      const own = state.transactions.filter(t => belongsTo(t, p) && t.date <= to);
+      const row = { platform: p, opening: 0, allowances: 0, topUps: 0, adjustments: 0, expired: 0, spent: 0, closing: 0, active: false };
+      const groups = new Map();
+      own.forEach((t) => {
+        const amount = Number(t.amount) || 0;
+        row.closing += amount;
+        if (t.date < from) { row.opening += amount; return; }
+        row.active = true;
+        if (!isSpend(t)) row[lineOf(t)] += amount;
+        else if (inProject(t)) {
+          row.spent += Math.abs(amount);
+          const key = norm(t.project);
+          if (!groups.has(key)) groups.set(key, { name: String(t.project || "").trim() || NO_PROJECT, spent: 0, entries: [] });
+          const g = groups.get(key);
+          g.spent += Math.abs(amount);
+          g.entries.push({ ...t, cost: costOf(t) });
+        }
+      });
+      const projects = [...groups.values()]
+        .map(g => ({ ...g, entries: g.entries.sort((a, b) => momentOf(a).localeCompare(momentOf(b))), cost: sumMoney(g.entries.map(e => e.cost)) }))
+        .sort((a, b) => b.spent - a.spent);
+      return { ...row, projects, cost: sumMoney(projects.flatMap(g => g.entries.map(e => e.cost))) };
+    })
+    .filter(r => (project === null ? r.active || r.closing : r.spent > 0));
+
+  const totals = Object.fromEntries(LINES.map(k => [k, platforms.reduce((a, r) => a + r[k], 0)]));
+  totals.cost = platforms.reduce((a, r) => ({ total: a.total + r.cost.total, missing: a.missing + r.cost.missing }), { total: 0, missing: 0 });
+  return { month, from, to, platformId, project, platforms, totals };
+}
+
+/** Suggested file/document name, e.g. "CreditRadar statement 2026-03 Runway". */
+export function statementTitle(statement) {
+  const scope = [
+    statement.platformId === null || !statement.platforms.length ? "" : platformLabel(statement.platforms[0].platform),
+    statement.project === null ? "" : statement.project || NO_PROJECT,
+  ].filter(Boolean).join(" ");
+  return `CreditRadar statement ${statement.month}${scope ? ` ${scope}` : ""}`;
+}
@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { makeEntry } from "./ledger.js";
+import { buildStatement, monthRange, statementMonths, statementTitle } from "./statements.js";
+
+const runway = { id: "r", name: "Runway", account: "main", unit: "credits", planPrice: 12, planCredits: 600, currency: "USD" };
+const pika = { id: "p", name: "Pika", account: "main", unit: "credits" };
+
+const state = {
+  platforms: [runway, pika],
+  transactions: [
+    makeEntry("opening", runway, 500, { date: "2026-01-10" }),
+    makeEntry("usage", runway, -100, { date: "2026-01-20", project: "FCG Reel" }),
+    makeEntry("allowance", runway, 625, { date: "2026-02-01" }),
+    makeEntry("expiry", runway, -25, { date: "2026-02-01" }),
+    makeEntry("usage", runway, -60, { date: "2026-02-14", time: "18:00", project: "FCG Reel", note: "shots B" }),
+    makeEntry("usage", runway, -40, { date: "2026-02-03", project: "fcg reel", note: "shots A" }),
+    makeEntry("usage", runway, -30, { date: "2026-02-20", note: "tests" }),
+    makeEntry("usage", runway, 200, { date: "2026-02-21", note: "top-up" }),
+    makeEntry("adjustment", runway, -5, { date: "2026-02-28" }),
+    makeEntry("usage", runway, -999, { date: "2026-03-01" }),
+    makeEntry("opening", pika, 300, { date: "2026-02-15" }),
+  ],
+};
+
+describe("monthRange", () => {
+  it("knows how long months are", () => {
+    expect(monthRange("2026-02")).toEqual({ from: "2026-02-01", to: "2026-02-28" });
+    expect(monthRange("2024-12")).toEqual({ from: "2024-12-01", to: "2024-12-31" });
+  });
+});
+
+describe("buildStatement", () => {
+  it("reconciles opening to closing per platform", () => {
+    const [r, p] = buildStatement(state, { month: "2026-02" }).platforms;
+    expect(r).toMatchObject({ opening: 400, allowances: 625, expired: -25, topUps: 200, adjustments: -5, spent: 130, closing: 1065 });
+    expect(r.opening + r.allowances + r.expired + r.topUps + r.adjustments - r.spent).toBe(r.closing);
+    expect(p).toMatchObject({ opening: 0, adjustments: 300, spent: 0, closing: 300 });
+  });
+
+  it("itemises spend by project, in date order, with costs", () => {
+    const [r] = buildStatement(state, { month: "2026-02" }).platforms;
+    expect(r.projects.map(g => [g.name, g.spent])).toEqual([["FCG Reel", 100], ["No project", 30]]);
+    expect(r.projects[0].entries.map(t => t.note)).toEqual(["shots A", "shots B"]);
+    expect(r.projects[0].cost).toEqual({ total: 2, missing: 0 });
+    expect(r.cost.total).toBeCloseTo(2.6);
+  });
+
+  it("narrows to one project and drops platforms without its spend", () => {
+    const s = buildStatement(state, { month: "2026-02", project: "" });
+    expect(s.platforms.map(r => r.platform.id)).toEqual(["r"]);
+    expect(s.totals.spent).toBe(30);
+    expect(statementTitle(s)).toBe("CreditRadar statement 2026-02 No project");
+  });
+
+  it("totals across platforms and skips idle ones", () => {
+    const s = buildStatement(state, { month: "2025-12" });
+    expect(s.platforms).toEqual([]);
+    expect(buildStatement(state, { month: "2026-02" }).totals).toMatchObject({ opening: 400, closing: 1365, spent: 130 });
+    expect(statementTitle(buildStatement(state, { month: "2026-02", platformId: "r" }))).toBe("CreditRadar statement 2026-02 Runway");
+  });
+});
+
+describe("statementMonths", () => {
+  it("lists months with entries, newest first", () => {
+    expect(statementMonths(state.transactions, "2026-04-02")).toEqual(["2026-04", "2026-03", "2026-02", "2026-01"]);
+  });
+});
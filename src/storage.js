@@ -0,0 +1,146 @@
+import { linkEntriesToPlatforms, migrateCreditsToLedger, migrateEntryAccounts } from "./ledger.js";
+import { indexedDbBackend, indexedDbSupported } from "./idbStorage.js";
+
+/**
+ * Persistence + schema versioning
+ *
+ * Saved state is `{ version, platforms, transactions, ... }`. Anything older
+ * is run through MIGRATIONS one version at a time. Unreadable data is never
+ * replaced silently – the caller gets `{ error, raw }` and decides.
+ *
+ * Where it is saved is up to a backend:
+ *
+ *   { name, load() -> Promise<object | null>, save(state) -> Promise }
+ *
+ * IndexedDB is used when the browser has it (see idbStorage.js), with the
+ * original single localStorage blob as the fallback. Tabs tell each other
+ * about saves over a BroadcastChannel and reload from the backend.
+ *
+ * History
+ * - v1: unversioned blob, mutable `credits` on each platform
+ * - v2: ledger – balances derived from opening/usage/adjustment entries
+ * - v3: platforms keyed by name + account; entries carry `account` (and optional `member`)
+ * - v4: entries and schedules reference their platform by `platformId`
+ */
+
+export const STORAGE_KEY = "ai-credit-tracker";
+export const SCHEMA_VERSION = 4;
+
+// MIGRATIONS[n] upgrades a version-n state to n + 1.
+const MIGRATIONS = {
+  1: (s) => migrateCreditsToLedger({ ...s, transactions: s.transactions ?? [] }),
+  2: migrateEntryAccounts,
+  3: linkEntriesToPlatforms,
+};
+
+function assertShape(s) {
+  if (!s || typeof s !== "object") throw new Error("Saved data is not an object.");
+  if (!Array.isArray(s.platforms)) throw new Error("Saved data has no platforms list.");
+  if (s.transactions !== undefined && !Array.isArray(s.transactions)) throw new Error("Saved transactions are not a list.");
+}
+
+export function migrate(data) {
+  assertShape(data);
+  let { version = 1, ...s } = data;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Saved data is from a newer CreditRadar (schema v${version}, this build reads up to v${SCHEMA_VERSION}).`);
+  }
+  while (version < SCHEMA_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) throw new Error(`No migration from schema v${version}.`);
+    s = step(s);
+    version += 1;
+  }
+  // Entries that already have an id are kept as-is so backends can tell what changed.
+  s.transactions = (s.transactions ?? []).map((t) => (t.id ? t : { ...t, id: crypto.randomUUID() }));
+  s.platforms = s.platforms.map((p) => (p.id ? p : { ...p, id: crypto.randomUUID() }));
+  return s;
+}
+
+// --- Backends ---
+
+/** The whole state as one JSON blob under STORAGE_KEY. */
+export function localStorageBackend() {
+  return {
+    name: "localstorage",
+    async load() {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (!raw) return null;
+      try {
+        return JSON.parse(raw);
+      } catch (e) {
+        throw Object.assign(new Error("Saved data is not valid JSON."), { raw });
+      }
+    },
+    async save(state) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    },
+    // Called once the data lives in IndexedDB; the blob is kept under another key as a fallback copy.
+    retire() {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (raw === null) return;
+      localStorage.setItem(`${STORAGE_KEY}.migrated`, raw);
+      localStorage.removeItem(STORAGE_KEY);
+    },
+  };
+}
+
+export function openStorage() {
+  const legacy = localStorageBackend();
+  return indexedDbSupported() ? indexedDbBackend({ legacy }) : legacy;
+}
+
+/**
+ * Reads the stored ledger.
+ * Resolves to `{ state }`, `{ state: null }` when nothing is stored yet, or
+ * `{ error, raw }` when the stored data cannot be read or migrated.
+ */
+export async function loadState(backend) {
+  let data = null;
+  try {
+    data = await backend.load();
+    if (!data) return { state: null };
+    return { state: migrate(data) };
+  } catch (e) {
+    return { error: e.message || String(e), raw: e.raw ?? (data ? JSON.stringify(data) : null) };
+  }
+}
+
+export function saveState(backend, state) {
+  return backend.save({ version: SCHEMA_VERSION, ...state });
+}
+
+/** Keeps a copy of unreadable data before the recovery screen overwrites the main key. */
+export function stashCorrupt(raw) {
+  if (raw) localStorage.setItem(`${STORAGE_KEY}.corrupt-${Date.now()}`, raw);
+}
+
+// --- Cross-tab sync ---
+
+const CHANNEL = `${STORAGE_KEY}.changes`;
+
+/** `notify()` after a save; `onRemoteSave` runs when another tab saved. No-op where BroadcastChannel is missing. */
+export function openTabChannel(onRemoteSave) {
+  if (typeof BroadcastChannel === "undefined") return { notify() {}, close() {} };
+  const channel = new BroadcastChannel(CHANNEL);
+  channel.onmessage = (e) => { if (e.data?.type === "saved") onRemoteSave(); };
+  return { notify: () => channel.postMessage({ type: "saved" }), close: () => channel.close() };
+}
+
+// --- Backup files ---
+
+export function serializeBackup(state) {
+  return JSON.stringify({ app: "creditradar", version: SCHEMA_VERSION, exportedAt: new Date().toISOString(), ...state }, null, 2);
+}
+
+/** Parses a backup file (any schema version) into current-schema state; throws with a readable message. */
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("That file is not valid JSON.");
+  }
+  const { app, exportedAt, ...rest } = data || {};
+  return migrate(rest);
+}
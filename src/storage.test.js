@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { SCHEMA_VERSION, migrate, parseBackup, serializeBackup } from "./storage.js";
+
+describe("migrate", () => {
+  it("brings a v1 save up to the current schema", () => {
+    const state = migrate({
+      platforms: [{ id: "p1", name: "Suno", credits: 100 }],
+      transactions: [{ id: "t1", platform: "Suno", amount: -40, date: "2026-01-02" }],
+    });
+    expect(state.platforms[0]).toMatchObject({ id: "p1", account: "main" });
+    expect(state.transactions.every(t => t.platformId === "p1" && t.account === "main")).toBe(true);
+    expect(state.transactions.reduce((a, t) => a + t.amount, 0)).toBe(100);
+  });
+
+  it("refuses saves from a newer build", () => {
+    expect(() => migrate({ version: SCHEMA_VERSION + 1, platforms: [] })).toThrow(/newer CreditRadar/);
+  });
+
+  it("rejects data without a platforms list", () => {
+    expect(() => migrate({ transactions: [] })).toThrow(/no platforms list/);
+  });
+});
+
+describe("backups", () => {
+  it("round-trips through serializeBackup / parseBackup", () => {
+    const state = { platforms: [{ id: "p", name: "Pika", account: "main" }], transactions: [{ id: "t", platformId: "p", platform: "Pika", account: "main", amount: 5, date: "2026-01-01" }] };
+    expect(parseBackup(serializeBackup(state))).toEqual(state);
+  });
+
+  it("explains unreadable files", () => {
+    expect(() => parseBackup("{")).toThrow("That file is not valid JSON.");
+  });
+});
@@ -0,0 +1,122 @@
+import { adjustmentEntry, balanceOf, belongsTo, makeEntry } from "./ledger.js";
+import { addDays, todayKey } from "./dates.js";
+
+/**
+ * Provider sync
+ *
+ * An adapter knows how to read one provider:
+ *
+ *   {
+ *     id, label,
+ *     fetchBalance(platform, config) -> Promise<number | null>   (null = provider doesn't report it)
+ *     fetchUsage(platform, config, cursor) -> Promise<{ entries, cursor }>
+ *   }
+ *
+ * where `entries` are `{ externalId, date, amount, project?, note? }` (amount
+ * negative for spend) and `cursor` is opaque to the engine – it is stored on
+ * the platform and handed back next time.
+ *
+ * Platforms opt in with `platform.sync = { adapter, config, enabled }`; the
+ * engine also keeps `cursor`, `lastSync` and `lastError` there. Fetched usage
+ * is posted as ledger entries (deduplicated by `externalId`), and a reported
+ * balance that disagrees with the ledger is reconciled with an adjustment
+ * entry, so every synced number stays auditable.
+ */
+
+// --- Adapters ---
+
+// Deterministic pseudo-random usage so the whole flow can be exercised offline.
+function seeded(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 16777619); }
+  return ((h >>> 0) % 1000) / 1000;
+}
+
+const mockAdapter = {
+  id: "mock",
+  label: "Mock (simulated usage)",
+  async fetchBalance() { return null; },
+  async fetchUsage(platform, config = {}, cursor) {
+    const today = todayKey();
+    const start = cursor ? addDays(cursor, 1) : addDays(today, -7);
+    const daily = Number(config.dailyUsage) || 20;
+    const entries = [];
+    for (let d = start; d <= today; d = addDays(d, 1)) {
+      const r = seeded(`${platform.name}|${d}`);
+      if (r < 0.35) continue;
+      entries.push({ externalId: `mock-${platform.name}-${d}`, date: d, amount: -Math.round(daily * (0.5 + r)), note: "Simulated sync" });
+    }
+    return { entries, cursor: today };
+  },
+};
+
+/** Reads a provider-shaped JSON document pasted into the platform's sync settings: `{ balance?, usage: [...] }`. */
+const localJsonAdapter = {
+  id: "json",
+  label: "Local JSON",
+  async fetchBalance(platform, config = {}) {
+    const b = parseDoc(config).balance;
+    return b === undefined || b === null ? null : Number(b);
+  },
+  async fetchUsage(platform, config = {}, cursor) {
+    const usage = parseDoc(config).usage || [];
+    if (!Array.isArray(usage)) throw new Error("`usage` must be a list.");
+    const entries = usage
+      .map((u, i) => ({ externalId: String(u.id ?? `${u.date}-${i}`), date: String(u.date).slice(0, 10), amount: Number(u.amount), project: u.project || "", note: u.note || "" }))
+      .filter(u => (!cursor || u.date >= cursor) && Number.isFinite(u.amount));
+    const latest = entries.reduce((max, u) => (u.date > max ? u.date : max), cursor || "");
+    return { entries, cursor: latest || cursor || null };
+  },
+};
+
+function parseDoc(config) {
+  try {
+    return JSON.parse(config.json || "{}");
+  } catch (e) {
+    throw new Error("Sync JSON is not valid.");
+  }
+}
+
+export const ADAPTERS = { [mockAdapter.id]: mockAdapter, [localJsonAdapter.id]: localJsonAdapter };
+
+export function registerAdapter(adapter) { ADAPTERS[adapter.id] = adapter; }
+
+export function isSyncable(p) { return !!(p.sync?.enabled && ADAPTERS[p.sync.adapter]); }
+
+// --- Engine ---
+
+/** Fetches every enabled platform; never rejects – failures come back as `{ platformId, error }`. */
+export async function fetchSyncResults(platforms) {
+  return Promise.all(platforms.filter(isSyncable).map(async (p) => {
+    const adapter = ADAPTERS[p.sync.adapter];
+    try {
+      const usage = await adapter.fetchUsage(p, p.sync.config, p.sync.cursor);
+      const balance = await adapter.fetchBalance(p, p.sync.config);
+      return { platformId: p.id, entries: usage.entries || [], cursor: usage.cursor ?? p.sync.cursor, balance };
+    } catch (e) {
+      return { platformId: p.id, error: e.message || String(e) };
+    }
+  }));
+}
+
+/** Pure: folds fetched results into state (new entries, reconciliation adjustments, per-platform sync status). */
+export function applySyncResults(state, results, now = new Date().toISOString()) {
+  let transactions = state.transactions;
+  const byId = new Map(results.map(r => [r.platformId, r]));
+  const platforms = state.platforms.map((p) => {
+    const r = byId.get(p.id);
+    if (!r) return p;
+    if (r.error) return { ...p, sync: { ...p.sync, lastError: r.error, lastErrorAt: now } };
+    const seen = new Set(transactions.filter(t => belongsTo(t, p) && t.externalId).map(t => t.externalId));
+    const fresh = r.entries
+      .filter(e => !seen.has(e.externalId))
+      .map(e => makeEntry("usage", p, e.amount, { id: `sync-${p.id}-${e.externalId}`, date: e.date, project: e.project || "", note: e.note || "", member: p.member || "", externalId: e.externalId, source: "sync" }));
+    transactions = [...fresh, ...transactions];
+    if (r.balance !== null && r.balance !== undefined && Number.isFinite(r.balance)) {
+      const diff = r.balance - balanceOf(transactions, p);
+      if (diff) transactions = [adjustmentEntry(p, diff, `Sync reconciliation (${ADAPTERS[p.sync.adapter]?.label || p.sync.adapter})`), ...transactions];
+    }
+    return { ...p, sync: { ...p.sync, cursor: r.cursor, lastSync: now, lastError: null, lastAdded: fresh.length } };
+  });
+  return { ...state, platforms, transactions };
+}
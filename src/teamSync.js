@@ -0,0 +1,267 @@
+import { STORAGE_KEY } from "./storage.js";
+
+/**
+ * Team server sync (see server/index.js)
+ *
+ * The ledger is split into records – one per transaction, platform, project
+ * and schedule, plus the settings – each `{ kind, id, updatedAt, deleted?, data }`.
+ * After every local change the state is compared with a "shadow" of what
+ * was last exchanged with the server (a hash per record); changed records are
+ * stamped with the current time and queued in an outbox that survives
+ * reloads, so edits made offline go up once the server is reachable again.
+ * Pulled records replace local ones unless a newer local edit is still
+ * waiting to be pushed – last writer wins per record.
+ *
+ * Joining a server that already holds data adopts the team's ledger; joining
+ * an empty one uploads this browser's.
+ *
+ * The sync state is one per browser, so only one open tab talks to the
+ * server; the others wait on a Web Lock and see its changes through the tab
+ * channel (storage.js), and theirs reach it the same way. The next tab takes
+ * over when the syncing one closes.
+ */
+
+const CONFIG_KEY = `${STORAGE_KEY}.server`;
+const SYNC_KEY = `${STORAGE_KEY}.server-sync`;
+const POLL_MS = 15000;
+const PUSH_DELAY_MS = 500;
+
+export function loadServerConfig() {
+  try { return JSON.parse(localStorage.getItem(CONFIG_KEY)) || null; } catch (e) { return null; }
+}
+
+export function saveServerConfig(config) {
+  if (config?.url) localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
+  else localStorage.removeItem(CONFIG_KEY);
+}
+
+// --- Records ---
+
+export const recordKey = (r) => `${r.kind}:${r.id}`;
+
+function fnv(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 16777619); }
+  return (h >>> 0).toString(36);
+}
+
+// Unchanged entries keep their object identity between states, so each is hashed once.
+const hashes = new WeakMap();
+function hashOf(data) {
+  if (!hashes.has(data)) hashes.set(data, fnv(JSON.stringify(data)));
+  return hashes.get(data);
+}
+
+export function toRecords(state) {
+  const out = new Map();
+  const add = (kind, id, data) => out.set(`${kind}:${id}`, { kind, id, data });
+  state.transactions.forEach(t => add("transaction", t.id, t));
+  state.platforms.forEach(p => add("platform", p.id, p));
+  (state.projects || []).forEach(p => add("project", p.id, p));
+  (state.schedules || []).forEach(s => add("schedule", s.id, s));
+  if (state.settings) add("settings", "settings", state.settings);
+  return out;
+}
+
+/** Records that differ from `shadow` (key -> hash), stamped `now`; removed ones become tombstones. */
+export function diffRecords(shadow, state, now = Date.now()) {
+  const records = toRecords(state);
+  const changes = [];
+  const next = {};
+  records.forEach((r, key) => {
+    next[key] = hashOf(r.data);
+    if (shadow[key] !== next[key]) changes.push({ ...r, updatedAt: now });
+  });
+  Object.keys(shadow).forEach((key) => {
+    if (records.has(key)) return;
+    const i = key.indexOf(":");
+    changes.push({ kind: key.slice(0, i), id: key.slice(i + 1), updatedAt: now, deleted: true });
+  });
+  return { changes, shadow: next };
+}
+
+function mergeList(list, records, prepend) {
+  const byId = new Map(records.map(r => [r.id, r]));
+  const kept = list
+    .map(x => (byId.has(x.id) ? byId.get(x.id) : { data: x }))
+    .filter(r => !r.deleted)
+    .map(r => r.data);
+  const known = new Set(list.map(x => x.id));
+  const added = records.filter(r => !r.deleted && !known.has(r.id)).map(r => r.data);
+  return prepend ? [...added, ...kept] : [...kept, ...added];
+}
+
+/** Folds pulled records into state (upserts and deletions). */
+export function applyRecords(state, records) {
+  const of = (kind) => records.filter(r => r.kind === kind);
+  const settings = of("settings").pop();
+  return {
+    ...state,
+    transactions: mergeList(state.transactions, of("transaction"), true),
+    platforms: mergeList(state.platforms, of("platform"), false),
+    projects: mergeList(state.projects || [], of("project"), false),
+    schedules: mergeList(state.schedules || [], of("schedule"), false),
+    ...(settings ? { settings: settings.deleted ? undefined : settings.data } : {}),
+  };
+}
+
+// --- Connection ---
+
+function readSyncState(url) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SYNC_KEY));
+    if (saved?.url === url) return saved;
+  } catch (e) { /* start over */ }
+  return { url, cursor: 0, joined: false, shadow: {}, outbox: {} };
+}
+
+/** Runs `lead()` in one tab at a time (in every tab without Web Locks); the returned function stops it, or stops waiting for the turn. */
+function leadOneTab(name, lead) {
+  if (typeof navigator === "undefined" || !navigator.locks) return lead();
+  const waiting = new AbortController();
+  let stop = null;
+  let release = null;
+  navigator.locks.request(name, { signal: waiting.signal }, () => new Promise((resolve) => {
+    release = resolve;
+    stop = lead();
+  })).catch(() => { /* closed while waiting */ });
+  return () => {
+    waiting.abort();
+    stop?.();
+    release?.();
+  };
+}
+
+/**
+ * Connects to a team server. `onRemote(update)` receives a state updater for
+ * pulled changes; `onStatus({ state, error?, lastSync? })` reports
+ * "syncing" | "online" | "offline" | "error", or "standby" while another tab
+ * syncs. Call `push(state)` after every local change and `close()` to
+ * disconnect.
+ */
+export function connectTeamServer({ url, token }, { onRemote, onStatus }) {
+  const base = url.replace(/\/+$/, "");
+  let sync = null; // read once this tab leads; the previous leader may have moved it on
+  let latest = null;
+  let running = false, again = false, closed = false;
+  let pushTimer = null;
+
+  const persist = () => localStorage.setItem(SYNC_KEY, JSON.stringify(sync));
+
+  async function call(method, body) {
+    const res = await fetch(`${base}/api/changes${method === "GET" ? `?since=${sync.cursor}` : ""}`, {
+      method,
+      headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: body && JSON.stringify(body),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json.error || `Server answered ${res.status}.`);
+    return json;
+  }
+
+  function queue(state) {
+    const { changes, shadow } = diffRecords(sync.shadow, state);
+    sync.shadow = shadow;
+    changes.forEach((r) => { sync.outbox[recordKey(r)] = r; });
+    persist();
+  }
+
+  // First contact: adopt the team's ledger if there is one, otherwise upload ours.
+  async function join() {
+    const { seq, records } = await call("GET");
+    sync.cursor = seq;
+    sync.joined = true;
+    const team = records.filter(r => !r.deleted);
+    if (team.length) {
+      sync.shadow = Object.fromEntries(team.map(r => [recordKey(r), hashOf(r.data)]));
+      sync.outbox = {};
+      persist();
+      onRemote(s => applyRecords({ ...s, platforms: [], transactions: [], projects: [], schedules: [], settings: undefined }, team));
+    } else if (latest) {
+      queue(latest);
+    }
+  }
+
+  // Takes in server copies, except where a newer local edit is still waiting to be pushed; returns the ones to apply.
+  function receive(records) {
+    const incoming = records.filter((r) => {
+      const key = recordKey(r);
+      const pending = sync.outbox[key];
+      if (pending && pending.updatedAt >= r.updatedAt) return false;
+      delete sync.outbox[key];
+      // Our own pushes come back too; only apply what actually differs.
+      return r.deleted ? key in sync.shadow : sync.shadow[key] !== hashOf(r.data);
+    });
+    incoming.forEach((r) => {
+      const key = recordKey(r);
+      if (r.deleted) delete sync.shadow[key];
+      else sync.shadow[key] = hashOf(r.data);
+    });
+    return incoming;
+  }
+
+  async function pull() {
+    const { seq, records } = await call("GET");
+    const incoming = receive(records);
+    sync.cursor = seq;
+    persist();
+    if (incoming.length) onRemote(s => applyRecords(s, incoming));
+  }
+
+  async function run() {
+    if (closed || !sync) return;
+    if (running) { again = true; return; }
+    running = true;
+    onStatus({ state: "syncing" });
+    try {
+      if (!sync.joined) await join();
+      const sending = Object.values(sync.outbox);
+      if (sending.length) {
+        const { records: winners = [] } = await call("POST", { records: sending });
+        sending.forEach((r) => { if (sync.outbox[recordKey(r)] === r) delete sync.outbox[recordKey(r)]; });
+        // Copies that lost to a newer one (e.g. this clock runs behind) get the winner back from the reply;
+        // a pull would miss it when it is older than the cursor.
+        const won = receive(winners);
+        persist();
+        if (won.length) onRemote(s => applyRecords(s, won));
+      }
+      await pull();
+      if (!closed) onStatus({ state: "online", lastSync: Date.now() });
+    } catch (e) {
+      if (!closed) onStatus({ state: typeof navigator !== "undefined" && navigator.onLine === false ? "offline" : "error", error: e.message || String(e) });
+    } finally {
+      running = false;
+      if (again && !closed) { again = false; run(); }
+    }
+  }
+
+  const onOnline = () => run();
+  onStatus({ state: "standby" });
+  const stopLeading = leadOneTab(SYNC_KEY, () => {
+    sync = readSyncState(base);
+    if (latest && sync.joined) queue(latest);
+    run();
+    const timer = setInterval(run, POLL_MS);
+    if (typeof window !== "undefined") window.addEventListener("online", onOnline);
+    return () => {
+      clearInterval(timer);
+      if (typeof window !== "undefined") window.removeEventListener("online", onOnline);
+    };
+  });
+
+  return {
+    push(state) {
+      latest = state;
+      if (!sync) return;
+      if (!sync.joined) return run();
+      queue(state);
+      clearTimeout(pushTimer);
+      pushTimer = setTimeout(run, PUSH_DELAY_MS);
+    },
+    close() {
+      closed = true;
+      clearTimeout(pushTimer);
+      stopLeading();
+    },
+  };
+}
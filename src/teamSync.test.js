@@ -0,0 +1,148 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { applyPush, changesSince } from "../server/index.js";
+import { STORAGE_KEY } from "./storage.js";
+import { applyRecords, connectTeamServer, diffRecords } from "./teamSync.js";
+
+// Web Locks as a browser shares them between tabs: one holder per name, the rest queue until it lets go.
+function fakeLocks() {
+  const queue = [];
+  let held = false;
+  const next = () => {
+    held = false;
+    queue.shift()?.();
+  };
+  return {
+    request(name, { signal }, callback) {
+      return new Promise((resolve, reject) => {
+        const grant = () => {
+          held = true;
+          Promise.resolve(callback()).then(resolve, reject).finally(next);
+        };
+        signal.addEventListener("abort", () => {
+          if (!queue.includes(grant)) return;
+          queue.splice(queue.indexOf(grant), 1);
+          reject(new DOMException("Aborted", "AbortError"));
+        });
+        if (held) queue.push(grant);
+        else grant();
+      });
+    },
+  };
+}
+
+// The team server's store behind a stubbed fetch, answering like server/index.js does.
+function fakeServer() {
+  const store = { seq: 0, records: new Map() };
+  const answer = (url, { method, body }) => {
+    if (method === "GET") return { seq: store.seq, records: changesSince(store, Number(new URL(url).searchParams.get("since"))) };
+    const stale = applyPush(store, JSON.parse(body).records);
+    return { seq: store.seq, stale, records: stale.map(key => store.records.get(key)) };
+  };
+  vi.stubGlobal("fetch", vi.fn(async (url, init) => {
+    const reply = JSON.parse(JSON.stringify(answer(url, init)));
+    return { ok: true, json: async () => reply };
+  }));
+  return store;
+}
+
+const suno = { id: "p1", name: "Suno", account: "main" };
+const pika = { id: "p2", name: "Pika", account: "main" };
+const usage = { id: "t1", platformId: "p1", platform: "Suno", account: "main", amount: -10, date: "2026-03-02" };
+const empty = { platforms: [], transactions: [] };
+
+describe("diffRecords", () => {
+  it("stamps changed records and turns removed ones into tombstones", () => {
+    const { changes: first, shadow } = diffRecords({}, { platforms: [suno], transactions: [usage] }, 1000);
+    expect(first.map(r => `${r.kind}:${r.id}@${r.updatedAt}`)).toEqual(["transaction:t1@1000", "platform:p1@1000"]);
+
+    const { changes } = diffRecords(shadow, { platforms: [{ ...suno, name: "Suno v4" }], transactions: [] }, 2000);
+    expect(changes).toEqual([
+      { kind: "platform", id: "p1", data: { ...suno, name: "Suno v4" }, updatedAt: 2000 },
+      { kind: "transaction", id: "t1", updatedAt: 2000, deleted: true },
+    ]);
+  });
+
+  it("finds nothing when nothing changed", () => {
+    const state = { platforms: [suno], transactions: [usage] };
+    expect(diffRecords(diffRecords({}, state).shadow, state).changes).toEqual([]);
+  });
+});
+
+describe("applyRecords", () => {
+  it("updates, adds and deletes records and replaces the settings", () => {
+    const state = { platforms: [suno], transactions: [usage], settings: { displayCurrency: "USD" } };
+    const next = applyRecords(state, [
+      { kind: "platform", id: "p1", data: { ...suno, name: "Suno v4" } },
+      { kind: "platform", id: "p2", data: pika },
+      { kind: "transaction", id: "t1", deleted: true },
+      { kind: "settings", id: "settings", data: { displayCurrency: "EUR" } },
+    ]);
+    expect(next.platforms.map(p => p.name)).toEqual(["Suno v4", "Pika"]);
+    expect(next.transactions).toEqual([]);
+    expect(next.settings).toEqual({ displayCurrency: "EUR" });
+  });
+});
+
+describe("connectTeamServer", () => {
+  afterEach(() => {
+    delete navigator.locks;
+    vi.unstubAllGlobals();
+  });
+
+  const connect = (onRemote = () => {}, onStatus = () => {}) => connectTeamServer({ url: "http://team" }, { onRemote, onStatus });
+  const joined = (sync) => localStorage.setItem(`${STORAGE_KEY}.server-sync`, JSON.stringify({ url: "http://team", cursor: 0, joined: true, shadow: {}, outbox: {}, ...sync }));
+
+  it("adopts the team's ledger when joining a server that has one", async () => {
+    const store = fakeServer();
+    applyPush(store, [{ kind: "platform", id: "p2", updatedAt: 1000, data: pika }]);
+    const onRemote = vi.fn();
+    const team = connect(onRemote);
+    team.push({ platforms: [suno], transactions: [usage] });
+    await vi.waitFor(() => expect(onRemote).toHaveBeenCalled());
+    team.close();
+    expect(onRemote.mock.calls[0][0]({ platforms: [suno], transactions: [usage] })).toMatchObject({ platforms: [pika], transactions: [] });
+    expect([...store.records.keys()]).toEqual(["platform:p2"]);
+  });
+
+  it("keeps a local edit that is newer than what a pull brings", async () => {
+    const store = fakeServer();
+    applyPush(store, [{ kind: "platform", id: "p1", updatedAt: 1000, data: { ...suno, name: "Theirs" } }]);
+    joined();
+    const onRemote = vi.fn();
+    const team = connect(onRemote);
+    team.push({ platforms: [{ ...suno, name: "Mine" }], transactions: [] }); // while the first pull is on its way
+    await vi.waitFor(() => expect(store.records.get("platform:p1").data.name).toBe("Mine"), { timeout: 2000 });
+    team.close();
+    expect(onRemote).not.toHaveBeenCalled();
+  });
+
+  it("takes back the server's copy when a push loses to it", async () => {
+    const store = fakeServer();
+    applyPush(store, [{ kind: "platform", id: "p1", updatedAt: Date.now() + 3600 * 1000, data: { ...suno, name: "Theirs" } }]);
+    joined({ cursor: store.seq }); // already pulled past it
+    const onRemote = vi.fn();
+    const team = connect(onRemote);
+    team.push({ platforms: [{ ...suno, name: "Mine" }], transactions: [] });
+    await vi.waitFor(() => expect(onRemote).toHaveBeenCalled(), { timeout: 2000 });
+    team.close();
+    expect(onRemote.mock.calls[0][0]({ platforms: [{ ...suno, name: "Mine" }], transactions: [] }).platforms[0].name).toBe("Theirs");
+  });
+
+  it("syncs from one tab at a time and hands over when it closes", async () => {
+    Object.defineProperty(navigator, "locks", { value: fakeLocks(), configurable: true });
+    fakeServer();
+    const first = [], second = [];
+    const a = connect(undefined, s => first.push(s.state));
+    const b = connect(undefined, s => second.push(s.state));
+    a.push(empty);
+    b.push(empty);
+    await vi.waitFor(() => expect(first).toContain("online"));
+    expect(second).toEqual(["standby"]);
+
+    const calls = fetch.mock.calls.length;
+    a.close();
+    await vi.waitFor(() => expect(second).toContain("online"));
+    expect(fetch.mock.calls.length).toBeGreaterThan(calls);
+    b.close();
+  });
+});
@@ -0,0 +1,89 @@
+import { accountOf, memberOf } from "./ledger.js";
+import { momentOf } from "./dates.js";
+
+/**
+ * Transaction list queries – search, filters, sorting and paging for the
+ * Transactions panel. A query is a plain object; empty fields ("" / "All")
+ * don't filter.
+ */
+
+export const ALL = "All";
+
+export const EMPTY_QUERY = {
+  text: "",
+  platform: ALL, // platform id
+  account: ALL,
+  member: ALL,
+  project: "",
+  sign: ALL, // All | spend | topup
+  from: "",
+  to: "",
+  min: "", // on |amount|
+  max: "",
+  sort: "date-desc",
+};
+
+export const SORTS = {
+  "date-desc": "Newest first",
+  "date-asc": "Oldest first",
+  "amount-desc": "Largest amount",
+  "amount-asc": "Smallest amount",
+  platform: "Platform A–Z",
+};
+
+export const PAGE_SIZE = 50;
+
+const num = (v) => (v === "" || v === null || v === undefined || !Number.isFinite(Number(v)) ? null : Number(v));
+
+/** Number of filters set besides the text search and sort, for the "Filters (n)" badge. */
+export function activeFilterCount(query) {
+  const { text, sort, ...rest } = query;
+  return Object.entries(rest).filter(([k, v]) => v !== EMPTY_QUERY[k]).length;
+}
+
+export function filterTransactions(transactions, query) {
+  const words = query.text.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const project = query.project.trim().toLowerCase();
+  const min = num(query.min), max = num(query.max);
+  return transactions.filter((t) => {
+    const amount = Number(t.amount) || 0;
+    if (query.platform !== ALL && t.platformId !== query.platform) return false;
+    if (query.account !== ALL && accountOf(t) !== query.account) return false;
+    if (query.member !== ALL && memberOf(t) !== query.member) return false;
+    if (project && (t.project || "").trim().toLowerCase() !== project) return false;
+    if (query.sign === "spend" && amount >= 0) return false;
+    if (query.sign === "topup" && amount <= 0) return false;
+    if (query.from && t.date < query.from) return false;
+    if (query.to && t.date > query.to) return false;
+    if (min !== null && Math.abs(amount) < min) return false;
+    if (max !== null && Math.abs(amount) > max) return false;
+    if (words.length) {
+      const hay = `${t.project || ""} ${t.note || ""} ${t.member || ""}`.toLowerCase();
+      if (!words.every(w => hay.includes(w))) return false;
+    }
+    return true;
+  });
+}
+
+const COMPARE = {
+  "date-desc": (a, b) => momentOf(b).localeCompare(momentOf(a)),
+  "date-asc": (a, b) => momentOf(a).localeCompare(momentOf(b)),
+  "amount-desc": (a, b) => Math.abs(b.amount) - Math.abs(a.amount),
+  "amount-asc": (a, b) => Math.abs(a.amount) - Math.abs(b.amount),
+  platform: (a, b) => a.platform.localeCompare(b.platform) || momentOf(b).localeCompare(momentOf(a)),
+};
+
+export function sortTransactions(transactions, sort) {
+  return [...transactions].sort(COMPARE[sort] || COMPARE["date-desc"]);
+}
+
+export function queryTransactions(transactions, query) {
+  return sortTransactions(filterTransactions(transactions, query), query.sort);
+}
+
+/** `{ rows, page, pages }` – `page` is clamped, so a shrinking result never lands past the end. */
+export function paginate(rows, page, size = PAGE_SIZE) {
+  const pages = Math.max(1, Math.ceil(rows.length / size));
+  const p = Math.min(Math.max(0, page), pages - 1);
+  return { rows: rows.slice(p * size, (p + 1) * size), page: p, pages };
+}
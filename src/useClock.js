@@ -0,0 +1,20 @@
+import { useEffect, useState } from "react";
+import { msUntilTime } from "./dates.js";
+
+/**
+ * The current time, refreshed only when the clock (in the configured zone)
+ * reaches one of `times` ("HH:MM") rather than on an interval, so a component
+ * reading it re-renders just at those moments. Pass the time zone as `zone`;
+ * new `times` or a new zone read the clock again (a time may already have
+ * passed) and re-arm the timer.
+ */
+export function useClock(times, zone) {
+  const key = `${zone} ${times.join()}`;
+  const [clock, setClock] = useState(() => ({ key, now: new Date() }));
+  if (clock.key !== key) setClock({ key, now: new Date() });
+  useEffect(() => {
+    const timer = setTimeout(() => setClock(c => ({ ...c, now: new Date() })), Math.min(...times.map(t => msUntilTime(t))));
+    return () => clearTimeout(timer);
+  }, [clock]);
+  return clock.now;
+}
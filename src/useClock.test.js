@@ -0,0 +1,37 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { act, renderHook } from "@testing-library/react";
+import { configureDates, timeOfDay } from "./dates.js";
+import { useClock } from "./useClock.js";
+
+describe("useClock", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-03-02T10:00:00Z"));
+    configureDates({ timeZone: "UTC" });
+  });
+
+  afterEach(() => vi.useRealTimers());
+
+  it("ticks only at the given times", async () => {
+    const { result } = renderHook(() => useClock(["00:00", "18:00"], "UTC"));
+    await act(() => vi.advanceTimersByTimeAsync(8 * 3600 * 1000 - 1));
+    expect(timeOfDay(result.current)).toBe("10:00");
+    await act(() => vi.advanceTimersByTimeAsync(1));
+    expect(timeOfDay(result.current)).toBe("18:00");
+  });
+
+  it("reads the clock again when a time is added after it has passed", () => {
+    const { result, rerender } = renderHook(({ times }) => useClock(times, "UTC"), { initialProps: { times: ["00:00"] } });
+    vi.setSystemTime(new Date("2026-03-02T19:00:00Z")); // no tick between
+    expect(timeOfDay(result.current)).toBe("10:00");
+    rerender({ times: ["00:00", "18:00"] });
+    expect(timeOfDay(result.current)).toBe("19:00");
+  });
+
+  it("reads the clock again when the zone changes", () => {
+    const { result, rerender } = renderHook(({ zone }) => useClock(["00:00"], zone), { initialProps: { zone: "UTC" } });
+    vi.setSystemTime(new Date("2026-03-02T19:00:00Z"));
+    rerender({ zone: "Asia/Tokyo" });
+    expect(result.current.toISOString()).toBe("2026-03-02T19:00:00.000Z");
+  });
+});
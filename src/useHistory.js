@@ -0,0 +1,46 @@
+import { useCallback, useState } from "react";
+
+/**
+ * useState with multi-step undo/redo.
+ *
+ * Every update through the returned setter becomes one history step, so
+ * callers should fold related changes into a single functional update.
+ * `reset(next)` replaces the present (value or updater) and drops the history,
+ * e.g. when another tab or teammate changed the data – undo must not bring
+ * back what they overwrote. `amend(updater)` runs the updater over every state
+ * in the history without adding a step, for changes that undo and redo must
+ * keep, like entries the app posts on its own.
+ */
+export function useHistory(init, limit = 100) {
+  const [hist, setHist] = useState(() => ({
+    past: [],
+    present: typeof init === "function" ? init() : init,
+    future: [],
+  }));
+
+  const set = useCallback((updater) => setHist((h) => {
+    const next = typeof updater === "function" ? updater(h.present) : updater;
+    if (next === h.present) return h;
+    return { past: [...h.past, h.present].slice(-limit), present: next, future: [] };
+  }), [limit]);
+
+  const undo = useCallback(() => setHist((h) => {
+    if (!h.past.length) return h;
+    return { past: h.past.slice(0, -1), present: h.past[h.past.length - 1], future: [h.present, ...h.future] };
+  }), []);
+
+  const redo = useCallback(() => setHist((h) => {
+    if (!h.future.length) return h;
+    return { past: [...h.past, h.present], present: h.future[0], future: h.future.slice(1) };
+  }), []);
+
+  const reset = useCallback((next) => setHist((h) => ({ past: [], present: typeof next === "function" ? next(h.present) : next, future: [] })), []);
+
+  const amend = useCallback((updater) => setHist((h) => {
+    const next = updater(h.present);
+    if (next === h.present) return h;
+    return { past: h.past.map(updater), present: next, future: h.future.map(updater) };
+  }), []);
+
+  return [hist.present, set, { undo, redo, reset, amend, canUndo: hist.past.length > 0, canRedo: hist.future.length > 0 }];
+}
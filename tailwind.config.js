@@ -1,6 +1,15 @@
 /** @type {import('tailwindcss').Config} */
 export default {
   content: ['./index.html', './src/**/*.{js,jsx,ts,tsx}'],
-  theme: { extend: {} },
+  theme: {
+    extend: {
+      // Defined in index.css so the light theme can swap the whole scale.
+      colors: {
+        zinc: Object.fromEntries([50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950].map(n => [n, `rgb(var(--zinc-${n}) / <alpha-value>)`])),
+        // Text on emerald/amber buttons and badges: dark in both themes.
+        'on-accent': '#09090b',
+      },
+    },
+  },
   plugins: [],
 }